@@ -3,8 +3,13 @@
 
 let graphInstances = {};
 
+// Stable keys for the SVG data join; links from .NET have no ids of their own
+const linkKeys = new WeakMap();
+let nextLinkKey = 0;
+
 // Export functions for C# interop
-export function initialize(containerId, options) {
+// dotNetRef is optional; with the layout worker it receives OnLayoutProgress(progress) as the layout settles
+export function initialize(containerId, options, dotNetRef) {
     const container = document.getElementById(containerId);
     if (!container) {
         console.error('Container not found:', containerId);
@@ -23,7 +28,19 @@ export function initialize(containerId, options) {
         chargeStrength: -300,
         enableZoom: true,
         enableDrag: true,
-        colorScheme: 'category10'
+        colorScheme: 'category10',
+        // 'canvas' draws on a single canvas, for graphs with thousands of links; see setRenderer
+        renderer: 'svg',
+        // Canvas labels are skipped above this many nodes unless zoomed in
+        canvasLabelLimit: 1000,
+        // Compute the force layout in a Web Worker, off the thread Blazor runs on; see setLayoutWorker
+        layoutWorker: false,
+        workerUrl: null,
+        // 'flow' draws links as aggregated money movement and 'sankey' as staged fund flows;
+        // see setFlowMode and setSankeyMode
+        mode: 'network',
+        flow: null,
+        sankey: null
     };
 
     const config = { ...defaultOptions, ...options };
@@ -39,14 +56,14 @@ export function initialize(containerId, options) {
     // Create container for zoom
     const g = svg.append('g');
 
-    // Add zoom behavior
+    // Add zoom behavior; kept on the instance so zoom, resetZoom and focusNode drive the same transform
+    const zoomBehavior = d3.zoom()
+        .scaleExtent([0.1, 10])
+        .on('zoom', function (event) {
+            applyZoom(containerId, this, event.transform);
+        });
     if (config.enableZoom) {
-        const zoom = d3.zoom()
-            .scaleExtent([0.1, 10])
-            .on('zoom', (event) => {
-                g.attr('transform', event.transform);
-            });
-        svg.call(zoom);
+        svg.call(zoomBehavior);
     }
 
     // Create arrow markers for directed links
@@ -78,16 +95,41 @@ export function initialize(containerId, options) {
     graphInstances[containerId] = {
         svg: svg,
         g: g,
+        zoomBehavior: zoomBehavior,
+        renderer: config.renderer,
+        canvas: null,
+        context: null,
+        quadtree: null,
+        drawFrame: null,
+        layers: null,
+        highlightedNodeId: null,
         simulation: simulation,
+        layoutType: 'force',
+        layoutWorker: null,
+        layoutGeneration: 0,
+        layoutAlpha: 0,
+        layoutFrame: null,
+        layoutProgressStep: null,
+        dotNetRef: dotNetRef || null,
         config: config,
         colorScale: colorScale,
         nodes: [],
         links: [],
         nodeElements: null,
         linkElements: null,
-        labelElements: null
+        labelElements: null,
+        flow: config.mode === 'flow' ? createFlowState(config.flow) : null,
+        sankey: config.mode === 'sankey' ? createSankeyState(config.sankey) : null
     };
 
+    if (config.renderer === 'canvas') {
+        createCanvas(containerId);
+    }
+
+    if (config.layoutWorker) {
+        createLayoutWorker(containerId);
+    }
+
     return true;
 }
 
@@ -112,7 +154,7 @@ export function addNode(containerId, node) {
     if (!instance) return false;
 
     instance.nodes.push({ ...node });
-    renderGraph(containerId);
+    renderGraph(containerId, 0.3);
     return true;
 }
 
@@ -121,7 +163,7 @@ export function addLink(containerId, link) {
     if (!instance) return false;
 
     instance.links.push({ ...link });
-    renderGraph(containerId);
+    renderGraph(containerId, 0.3);
     return true;
 }
 
@@ -130,8 +172,8 @@ export function removeNode(containerId, nodeId) {
     if (!instance) return false;
 
     instance.nodes = instance.nodes.filter(n => n.id !== nodeId);
-    instance.links = instance.links.filter(l => l.source.id !== nodeId && l.target.id !== nodeId);
-    renderGraph(containerId);
+    instance.links = instance.links.filter(l => getEndId(l.source) !== nodeId && getEndId(l.target) !== nodeId);
+    renderGraph(containerId, 0.3);
     return true;
 }
 
@@ -142,7 +184,7 @@ export function updateNode(containerId, nodeId, updates) {
     const node = instance.nodes.find(n => n.id === nodeId);
     if (node) {
         Object.assign(node, updates);
-        renderGraph(containerId);
+        renderGraph(containerId, 0.3);
     }
     return true;
 }
@@ -161,13 +203,13 @@ export function zoom(containerId, scale) {
     const instance = graphInstances[containerId];
     if (!instance) return false;
 
-    const svg = instance.svg;
-    const currentTransform = d3.zoomTransform(svg.node());
+    const view = getView(instance);
+    const currentTransform = d3.zoomTransform(view.node());
     const newTransform = currentTransform.scale(scale);
     
-    svg.transition()
+    view.transition()
         .duration(750)
-        .call(d3.zoom().transform, newTransform);
+        .call(instance.zoomBehavior.transform, newTransform);
     
     return true;
 }
@@ -176,9 +218,9 @@ export function resetZoom(containerId) {
     const instance = graphInstances[containerId];
     if (!instance) return false;
 
-    instance.svg.transition()
+    getView(instance).transition()
         .duration(750)
-        .call(d3.zoom().transform, d3.zoomIdentity);
+        .call(instance.zoomBehavior.transform, d3.zoomIdentity);
     
     return true;
 }
@@ -190,17 +232,15 @@ export function focusNode(containerId, nodeId) {
     const node = instance.nodes.find(n => n.id === nodeId);
     if (!node) return false;
 
-    const svg = instance.svg;
-    const width = instance.config.width;
-    const height = instance.config.height;
+    const frame = getViewFrame(instance);
     
     const scale = 2;
-    const x = -node.x * scale + width / 2;
-    const y = -node.y * scale + height / 2;
+    const x = -(node.x + frame.offsetX) * scale + frame.width / 2;
+    const y = -(node.y + frame.offsetY) * scale + frame.height / 2;
     
-    svg.transition()
+    getView(instance).transition()
         .duration(750)
-        .call(d3.zoom().transform, d3.zoomIdentity.translate(x, y).scale(scale));
+        .call(instance.zoomBehavior.transform, d3.zoomIdentity.translate(x, y).scale(scale));
     
     return true;
 }
@@ -209,37 +249,20 @@ export function highlightNode(containerId, nodeId) {
     const instance = graphInstances[containerId];
     if (!instance) return false;
 
-    // Reset all
-    instance.nodeElements.attr('stroke', '#fff').attr('stroke-width', 2);
-    instance.linkElements.attr('stroke', '#999').attr('stroke-width', 1)
-        .attr('marker-end', 'url(#arrow-default)');
-
-    // Highlight selected node
+    // Highlight selected node; the highlight survives later updates until cleared
     const selectedNode = instance.nodes.find(n => n.id === nodeId);
-    if (!selectedNode) return false;
-
-    instance.nodeElements
-        .filter(d => d.id === nodeId)
-        .attr('stroke', '#ff6b6b')
-        .attr('stroke-width', 4);
-
-    // Highlight connected links
-    instance.linkElements
-        .filter(d => d.source.id === nodeId || d.target.id === nodeId)
-        .attr('stroke', '#ff6b6b')
-        .attr('stroke-width', 3)
-        .attr('marker-end', 'url(#arrow-highlighted)');
+    instance.highlightedNodeId = selectedNode ? nodeId : null;
+    applyHighlight(instance);
 
-    return true;
+    return !!selectedNode;
 }
 
 export function clearHighlights(containerId) {
     const instance = graphInstances[containerId];
     if (!instance) return false;
 
-    instance.nodeElements.attr('stroke', '#fff').attr('stroke-width', 2);
-    instance.linkElements.attr('stroke', '#999').attr('stroke-width', 1)
-        .attr('marker-end', 'url(#arrow-default)');
+    instance.highlightedNodeId = null;
+    applyHighlight(instance);
     
     return true;
 }
@@ -248,7 +271,8 @@ export function setLayout(containerId, layoutType) {
     const instance = graphInstances[containerId];
     if (!instance) return false;
 
-    // Different layout algorithms can be applied here
+    // Different layout algorithms can be applied here; the layout worker is told the type and builds the same forces
+    instance.layoutType = layoutType;
     if (layoutType === 'hierarchical') {
         // Apply hierarchical layout
         instance.simulation
@@ -261,7 +285,7 @@ export function setLayout(containerId, layoutType) {
             .force('y', null);
     }
 
-    instance.simulation.alpha(1).restart();
+    restartLayout(instance, 1);
     return true;
 }
 
@@ -270,9 +294,9 @@ export function enableSimulation(containerId, enable) {
     if (!instance) return false;
 
     if (enable) {
-        instance.simulation.alpha(1).restart();
+        restartLayout(instance, 1);
     } else {
-        instance.simulation.stop();
+        haltLayout(instance);
     }
     
     return true;
@@ -283,6 +307,11 @@ export function destroy(containerId) {
     if (!instance) return false;
 
     instance.simulation.stop();
+    stopLayoutWorker(instance);
+    stopFlowParticles(instance);
+    if (instance.drawFrame !== null) {
+        cancelAnimationFrame(instance.drawFrame);
+    }
     const container = document.getElementById(containerId);
     if (container) {
         container.innerHTML = '';
@@ -293,101 +322,1282 @@ export function destroy(containerId) {
 }
 
 // Internal rendering function
-function renderGraph(containerId) {
+// alpha reheats the layout: 1 for new data, less for incremental changes so the graph does not jump
+function renderGraph(containerId, alpha = 1) {
     const instance = graphInstances[containerId];
     if (!instance) return;
 
-    const { g, simulation, config, colorScale, nodes, links } = instance;
+    if (instance.sankey) {
+        renderSankey(containerId);
+        return;
+    }
 
-    // Remove existing elements
-    g.selectAll('*').remove();
+    const { simulation } = instance;
+    showActiveView(instance);
+    stopFlowParticles(instance);
 
-    // Create link elements
-    const linkElements = g.append('g')
-        .attr('class', 'links')
-        .selectAll('line')
-        .data(links)
-        .join('line')
-        .attr('stroke', d => d.color || '#999')
-        .attr('stroke-width', d => d.value || 1)
-        .attr('marker-end', 'url(#arrow-default)');
+    // In flow mode the links are the transfers aggregated by direction and currency or channel
+    const links = instance.flow ? aggregateFlows(instance) : instance.links;
+    if (instance.flow) {
+        prepareFlowStyles(containerId, links);
+    }
+
+    if (isCanvasActive(instance)) {
+        // The canvas is redrawn from the data, so there are no elements to keep
+        instance.g.selectAll('*').remove();
+        instance.layers = null;
+        instance.nodeElements = null;
+        instance.linkElements = null;
+        instance.labelElements = null;
+    } else {
+        joinElements(containerId, links);
+    }
+
+    instance.renderedLinks = links;
+    instance.quadtree = null;
+
+    // Update positions on simulation tick
+    simulation.nodes(instance.nodes);
+    simulation.force('link').links(links);
+    simulation.on('tick', () => onTick(instance));
+    restartLayout(instance, alpha);
+
+    applyHighlight(instance);
+
+    if (instance.flow) {
+        startFlowParticles(instance, links);
+    }
+}
+
+// Enter/update/exit join, so adding or changing one node only touches its own elements
+function joinElements(containerId, links) {
+    const instance = graphInstances[containerId];
+    const { g, config, colorScale, nodes } = instance;
+
+    if (!instance.layers) {
+        g.selectAll('*').remove();
+        instance.layers = {
+            links: g.append('g').attr('class', 'links'),
+            particles: g.append('g').attr('class', 'flow-particles').attr('pointer-events', 'none'),
+            nodes: g.append('g').attr('class', 'nodes'),
+            labels: g.append('g').attr('class', 'labels')
+        };
+    }
+
+    const layers = instance.layers;
+    layers.links
+        .classed('flows', !!instance.flow)
+        .attr('fill', instance.flow ? 'none' : null);
+
+    // Flows are curved paths and plain links are lines; drop the other kind when the mode changes
+    let linkElements;
+    if (instance.flow) {
+        layers.links.selectAll('line').remove();
+        linkElements = layers.links.selectAll('path')
+            .data(links, getLinkKey)
+            .join(enter => enter.append('path')
+                .attr('stroke-opacity', 0.7)
+                .call(path => path.append('title')));
+        linkElements.select('title')
+            .text(d => describeFlow(d, instance.flow.options));
+    } else {
+        layers.links.selectAll('path').remove();
+        linkElements = layers.links.selectAll('line')
+            .data(links, getLinkKey)
+            .join('line');
+    }
 
     // Create node elements
-    const nodeElements = g.append('g')
-        .attr('class', 'nodes')
-        .selectAll('circle')
-        .data(nodes)
-        .join('circle')
+    const nodeElements = layers.nodes.selectAll('circle')
+        .data(nodes, d => d.id)
+        .join(enter => enter.append('circle')
+            .call(drag(instance))
+            .call(circle => circle.append('title')))
         .attr('r', d => d.radius || config.nodeRadius)
-        .attr('fill', d => d.color || colorScale(d.group || d.type || 'default'))
-        .attr('stroke', '#fff')
-        .attr('stroke-width', 2)
-        .call(drag(simulation));
+        .attr('fill', d => d.color || colorScale(getNodeGroup(d)));
 
     // Add tooltips
-    nodeElements.append('title')
+    nodeElements.select('title')
         .text(d => d.label || d.id);
 
     // Create label elements
-    const labelElements = g.append('g')
-        .attr('class', 'labels')
-        .selectAll('text')
-        .data(nodes)
-        .join('text')
-        .text(d => d.label || d.id)
-        .attr('font-size', 10)
-        .attr('dx', 12)
-        .attr('dy', 4);
+    const labelElements = layers.labels.selectAll('text')
+        .data(nodes, d => d.id)
+        .join(enter => enter.append('text')
+            .attr('font-size', 10)
+            .attr('dx', 12)
+            .attr('dy', 4))
+        .text(d => d.label || d.id);
 
     // Store elements
     instance.nodeElements = nodeElements;
     instance.linkElements = linkElements;
     instance.labelElements = labelElements;
+}
 
-    // Update positions on simulation tick
-    simulation.nodes(nodes);
-    simulation.force('link').links(links);
+function onTick(instance) {
+    instance.quadtree = null;
+
+    if (isCanvasActive(instance)) {
+        requestDraw(instance);
+        return;
+    }
 
-    simulation.on('tick', () => {
-        linkElements
+    if (instance.flow) {
+        instance.linkElements.attr('d', d => getFlowPath(d, instance.config.nodeRadius));
+    } else {
+        instance.linkElements
             .attr('x1', d => d.source.x)
             .attr('y1', d => d.source.y)
             .attr('x2', d => d.target.x)
             .attr('y2', d => d.target.y);
+    }
+
+    instance.nodeElements
+        .attr('cx', d => d.x)
+        .attr('cy', d => d.y);
+
+    instance.labelElements
+        .attr('x', d => d.x)
+        .attr('y', d => d.y);
+}
+
+function getLinkKey(link) {
+    if (link.flowKey) return link.flowKey;
+    if (!linkKeys.has(link)) {
+        linkKeys.set(link, `link-${nextLinkKey++}`);
+    }
+    return linkKeys.get(link);
+}
+
+function applyHighlight(instance) {
+    if (isCanvasActive(instance)) {
+        requestDraw(instance);
+        return;
+    }
+    if (!instance.nodeElements) return;
+
+    const nodeId = instance.highlightedNodeId;
+    const touches = d => nodeId !== null && (getEndId(d.source) === nodeId || getEndId(d.target) === nodeId);
+
+    instance.nodeElements
+        .attr('stroke', d => nodeId !== null && d.id === nodeId ? '#ff6b6b' : '#fff')
+        .attr('stroke-width', d => nodeId !== null && d.id === nodeId ? 4 : 2);
+
+    // Highlight connected links; flows keep their width so the amounts still read
+    instance.linkElements
+        .attr('stroke', d => touches(d) ? '#ff6b6b' : getLinkColor(instance, d))
+        .attr('stroke-width', d => getLinkWidth(instance, d, touches(d)))
+        .attr('marker-end', d => getLinkMarker(instance, d, touches(d) ? 'highlighted' : 'default'));
+}
+
+function getEndId(end) {
+    return typeof end === 'object' && end !== null ? end.id : end;
+}
+
+// Flow and Sankey links keep their amount-based width and colour; plain links use their own or the defaults
+function getLinkColor(instance, link) {
+    if (instance.flow) return instance.flow.colorScale(link.key);
+    if (instance.sankey) return instance.colorScale(getNodeGroup(link.source));
+    return link.color || '#999';
+}
+
+function getLinkWidth(instance, link, highlighted) {
+    if (instance.flow) return instance.flow.widthScale(link.total);
+    if (instance.sankey) return Math.max(1, link.width);
+    return highlighted ? 3 : link.value || 1;
+}
+
+function getLinkMarker(instance, link, plainMarker) {
+    if (instance.flow) return `url(#${link.markerId})`;
+    if (instance.sankey) return null;
+    return `url(#arrow-${plainMarker})`;
+}
+
+function getNodeGroup(node) {
+    return node.group || node.type || 'default';
+}
+
+// Transaction flow mode
+// Links passed to setData are individual transfers { source, target, amount, currency, channel, date };
+// they are summed per direction and per colour key, so A -> B and B -> A stay separate and round trips show
+// as a pair of opposite arcs.
+
+const flowPeriods = {
+    day: { interval: d3.timeDay, format: d3.timeFormat('%d %b %Y') },
+    week: { interval: d3.timeMonday, format: d3.timeFormat('Week of %d %b %Y') },
+    month: { interval: d3.timeMonth, format: d3.timeFormat('%b %Y') }
+};
+
+function createFlowState(options) {
+    return {
+        options: {
+            colorBy: 'currency',
+            // Width uses this field, so pass a base-currency equivalent when currencies are mixed
+            amountField: 'amount',
+            dateField: 'date',
+            period: 'month',
+            maxWidth: 14,
+            particles: true,
+            particleSpeed: 0.08,
+            ...options
+        },
+        dateRange: null,
+        colorScale: null,
+        widthScale: null,
+        timer: null
+    };
+}
+
+/**
+ * Switch between the plain network and the transaction flow view
+ * Flow mode sizes links by amount, colours them by currency or channel, animates particles in the
+ * direction of flow and lists totals and counts per period in the link tooltip.
+ * options: { colorBy: 'currency' | 'channel', amountField: 'amount', dateField: 'date',
+ *   period: 'day' | 'week' | 'month', maxWidth: 14, particles: true, particleSpeed: 0.08 }
+ */
+export function setFlowMode(containerId, enabled, options) {
+    const instance = graphInstances[containerId];
+    if (!instance) return false;
+
+    stopFlowParticles(instance);
+    instance.flow = enabled ? createFlowState(options) : null;
+    if (enabled) instance.sankey = null;
+    instance.svg.selectAll('.flow-legend').remove();
+    renderGraph(containerId);
+    return true;
+}
+
+// Only transfers dated within the range are counted; pass nulls to count everything
+export function setFlowDateRange(containerId, from, to) {
+    const instance = graphInstances[containerId];
+    if (!instance || !instance.flow) return false;
+
+    instance.flow.dateRange = from || to ? {
+        from: from ? new Date(from) : null,
+        to: to ? new Date(to) : null
+    } : null;
+    renderGraph(containerId, 0.3);
+    return true;
+}
+
+// Aggregated flows for tables next to the graph, largest first
+export function getFlowSummary(containerId) {
+    const instance = graphInstances[containerId];
+    if (!instance || !instance.flow) return [];
+
+    return aggregateFlows(instance)
+        .map(flow => ({
+            source: flow.sourceId,
+            target: flow.targetId,
+            key: flow.key,
+            total: flow.total,
+            count: flow.count,
+            totalsByCurrency: Object.fromEntries(flow.byCurrency),
+            firstDate: flow.first ? flow.first.toISOString() : null,
+            lastDate: flow.last ? flow.last.toISOString() : null
+        }))
+        .sort((a, b) => b.total - a.total);
+}
+
+function aggregateFlows(instance) {
+    const options = instance.flow.options;
+    const range = instance.flow.dateRange;
+    const labels = new Map(instance.nodes.map(n => [n.id, n.label || n.id]));
+    const flows = new Map();
+
+    instance.links.forEach(transfer => {
+        const sourceId = getEndId(transfer.source);
+        const targetId = getEndId(transfer.target);
+        if (!labels.has(sourceId) || !labels.has(targetId)) return;
+
+        const date = transfer[options.dateField] ? new Date(transfer[options.dateField]) : null;
+        if (range) {
+            // A transfer without a date cannot be placed in the range, so it is left out
+            if (!date || isNaN(date)) return;
+            if ((range.from && date < range.from) || (range.to && date > range.to)) return;
+        }
+
+        const key = String(transfer[options.colorBy] || 'Other');
+        const flowKey = `${sourceId}|${targetId}|${key}`;
+        if (!flows.has(flowKey)) {
+            flows.set(flowKey, {
+                flowKey: flowKey,
+                source: sourceId,
+                target: targetId,
+                sourceId: sourceId,
+                targetId: targetId,
+                key: key,
+                label: `${labels.get(sourceId)} \u2192 ${labels.get(targetId)}`,
+                total: 0,
+                count: 0,
+                first: null,
+                last: null,
+                byCurrency: new Map(),
+                byPeriod: new Map()
+            });
+        }
+
+        const flow = flows.get(flowKey);
+        const amount = Number(transfer[options.amountField]) || 0;
+        const currency = transfer.currency || '';
+        flow.total += amount;
+        flow.count += 1;
+        flow.byCurrency.set(currency, (flow.byCurrency.get(currency) || 0) + (Number(transfer.amount) || 0));
+
+        if (date && !isNaN(date)) {
+            if (!flow.first || date < flow.first) flow.first = date;
+            if (!flow.last || date > flow.last) flow.last = date;
+
+            const period = flowPeriods[options.period] || flowPeriods.month;
+            const start = period.interval.floor(date).getTime();
+            const bucket = flow.byPeriod.get(start) || { total: 0, count: 0 };
+            // Same amount as the link width; byCurrency keeps the native amounts
+            bucket.total += amount;
+            bucket.count += 1;
+            flow.byPeriod.set(start, bucket);
+        }
+    });
+
+    // Flows between the same two nodes are bent apart; opposite directions bend to opposite sides
+    const result = [...flows.values()];
+    const pairs = d3.group(result, f => [f.sourceId, f.targetId].sort().join('|'));
+    pairs.forEach(group => {
+        const directed = d3.group(group, f => f.sourceId);
+        directed.forEach(list => list.forEach((flow, index) => {
+            flow.curvature = group.length > 1 ? 0.2 * (index + 1) : 0;
+        }));
+    });
+
+    return result;
+}
+
+// Scales, arrowheads and legend for the current flows
+function prepareFlowStyles(containerId, flows) {
+    const instance = graphInstances[containerId];
+    const { svg, flow } = instance;
+    const options = flow.options;
+
+    const keys = [...new Set(flows.map(f => f.key))].sort();
+    flow.colorScale = d3.scaleOrdinal(keys, d3.schemeTableau10);
+    flow.widthScale = d3.scaleSqrt([0, d3.max(flows, f => f.total) || 1], [1, options.maxWidth]);
+
+    // One arrow per colour, sized in screen units so wide links do not get huge arrowheads
+    svg.select('defs').selectAll('marker.flow-arrow')
+        .data(keys)
+        .join('marker')
+        .attr('class', 'flow-arrow')
+        .attr('id', (d, i) => `${containerId}-flow-arrow-${i}`)
+        .attr('viewBox', '0 -5 10 10')
+        .attr('refX', 10)
+        .attr('refY', 0)
+        .attr('markerUnits', 'userSpaceOnUse')
+        .attr('markerWidth', 10)
+        .attr('markerHeight', 10)
+        .attr('orient', 'auto')
+        .selectAll('path')
+        .data(d => [d])
+        .join('path')
+        .attr('fill', d => flow.colorScale(d))
+        .attr('d', 'M0,-5L10,0L0,5');
+
+    flows.forEach(f => {
+        f.markerId = `${containerId}-flow-arrow-${keys.indexOf(f.key)}`;
+    });
+
+    // The canvas draws its own legend
+    flow.keys = keys;
+    if (isCanvasActive(instance)) {
+        svg.selectAll('.flow-legend').remove();
+    } else {
+        renderFlowLegend(instance, keys);
+    }
+}
+
+function describeFlow(flow, options) {
+    const number = d3.format(',.2f');
+    const totals = [...flow.byCurrency]
+        .map(([currency, total]) => `${currency} ${number(total)}`.trim())
+        .join(', ');
+    const lines = [
+        `${flow.label} (${flow.key})`,
+        `${totals} in ${flow.count} transfer${flow.count === 1 ? '' : 's'}`
+    ];
+
+    if (flow.first) {
+        const day = d3.timeFormat('%d %b %Y');
+        lines.push(`${day(flow.first)} - ${day(flow.last)}`);
+    }
+
+    // Most recent periods, oldest first
+    const period = flowPeriods[options.period] || flowPeriods.month;
+    [...flow.byPeriod].sort((a, b) => a[0] - b[0]).slice(-12).forEach(([start, bucket]) => {
+        lines.push(`${period.format(new Date(start))}: ${number(bucket.total)} (${bucket.count})`);
+    });
+
+    return lines.join('\n');
+}
+
+function renderFlowLegend(instance, keys) {
+    instance.svg.selectAll('.flow-legend').remove();
+
+    const legend = instance.svg.append('g')
+        .attr('class', 'flow-legend')
+        .attr('transform', 'translate(10, 10)')
+        .attr('font-size', 11);
+
+    const rows = legend.selectAll('g')
+        .data(keys)
+        .join('g')
+        .attr('transform', (d, i) => `translate(0, ${i * 16})`);
+
+    rows.append('rect')
+        .attr('width', 18)
+        .attr('height', 4)
+        .attr('y', 4)
+        .attr('fill', d => instance.flow.colorScale(d));
+
+    rows.append('text')
+        .attr('x', 24)
+        .attr('y', 10)
+        .text(d => d);
+}
+
+// Quadratic curve from source to target, ending at the target's edge so the arrow stays visible
+function getFlowCurve(flow) {
+    const { source, target, curvature } = flow;
+    const dx = target.x - source.x;
+    const dy = target.y - source.y;
+    return {
+        x0: source.x,
+        y0: source.y,
+        cx: (source.x + target.x) / 2 - dy * curvature,
+        cy: (source.y + target.y) / 2 + dx * curvature,
+        x1: target.x,
+        y1: target.y
+    };
+}
+
+function getFlowPath(flow, nodeRadius) {
+    const curve = getFlowCurve(flow);
+    const end = getFlowEnd(curve, (flow.target.radius || nodeRadius) + 2);
+    return `M${curve.x0},${curve.y0}Q${curve.cx},${curve.cy} ${end.x},${end.y}`;
+}
+
+// Where the curve meets the target's edge, and the direction it arrives in
+function getFlowEnd(curve, radius) {
+    const tx = curve.x1 - curve.cx;
+    const ty = curve.y1 - curve.cy;
+    const length = Math.hypot(tx, ty) || 1;
+    return { x: curve.x1 - tx / length * radius, y: curve.y1 - ty / length * radius, dx: tx / length, dy: ty / length };
+}
+
+function getFlowPoint(curve, t) {
+    const u = 1 - t;
+    return {
+        x: u * u * curve.x0 + 2 * u * t * curve.cx + t * t * curve.x1,
+        y: u * u * curve.y0 + 2 * u * t * curve.cy + t * t * curve.y1
+    };
+}
+
+function startFlowParticles(instance, flows) {
+    const flow = instance.flow;
+    const reducedMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    if (!flow.options.particles || reducedMotion) return;
+
+    // More transfers, more particles; each flow's particles are spread evenly along it
+    const particles = flows.flatMap(f => {
+        const count = Math.min(1 + Math.floor(Math.log10(f.count)), 4);
+        return d3.range(count).map(i => ({ flow: f, phase: i / count }));
+    });
+
+    particles.forEach(d => {
+        d.radius = Math.max(2, flow.widthScale(d.flow.total) / 2);
+    });
+
+    // On the canvas the particles are drawn with everything else, so the timer only asks for frames
+    if (isCanvasActive(instance)) {
+        flow.particles = particles;
+        flow.timer = d3.timer(elapsed => {
+            flow.elapsed = elapsed;
+            requestDraw(instance);
+        });
+        return;
+    }
+
+    const circles = instance.layers.particles.selectAll('circle')
+        .data(particles)
+        .join('circle')
+        .attr('r', d => d.radius)
+        .attr('fill', d => flow.colorScale(d.flow.key));
+
+    flow.timer = d3.timer(elapsed => {
+        circles.each(function (d) {
+            const point = getParticlePoint(d, elapsed, flow.options.particleSpeed);
+            this.setAttribute('cx', point.x);
+            this.setAttribute('cy', point.y);
+        });
+    });
+}
+
+function getParticlePoint(particle, elapsed, speed) {
+    const curve = getFlowCurve(particle.flow);
+    const length = Math.hypot(curve.x1 - curve.x0, curve.y1 - curve.y0) || 1;
+    return getFlowPoint(curve, (elapsed * speed / length + particle.phase) % 1);
+}
+
+function stopFlowParticles(instance) {
+    if (instance.flow && instance.flow.timer) {
+        instance.flow.timer.stop();
+        instance.flow.timer = null;
+        instance.flow.particles = null;
+    }
+    if (instance.layers) {
+        instance.layers.particles.selectAll('*').remove();
+    }
+}
+
+// Canvas renderer
+// Draws the same nodes, links and flows on one canvas, which stays responsive with tens of thousands of
+// links where SVG does not. Nodes under the pointer are found with a quadtree that is rebuilt after the
+// layout moves; link tooltips are only offered in flow mode, as in SVG.
+
+/**
+ * Switch between SVG and canvas rendering without reloading the data
+ * renderer: 'svg' | 'canvas'. The zoom is reset, as the two views measure it differently.
+ */
+export function setRenderer(containerId, renderer) {
+    const instance = graphInstances[containerId];
+    if (!instance) return false;
+
+    if (renderer !== 'svg' && renderer !== 'canvas') {
+        console.error('Unknown renderer:', renderer);
+        return false;
+    }
+
+    instance.renderer = renderer;
+    if (renderer === 'canvas' && !instance.canvas) {
+        createCanvas(containerId);
+    }
+
+    // Keep the layout where it is; only the drawing changes
+    renderGraph(containerId, 0);
+    getView(instance).call(instance.zoomBehavior.transform, d3.zoomIdentity);
+    return true;
+}
+
+function createCanvas(containerId) {
+    const instance = graphInstances[containerId];
+    const { config } = instance;
+
+    const canvas = d3.select(instance.svg.node().parentNode)
+        .append('canvas')
+        .attr('class', 'd3-network-graph-canvas')
+        .style('display', 'none')
+        .style('width', '100%')
+        .style('height', `${config.height}px`);
+
+    // Dragging a node takes precedence over panning, so drag is registered first
+    canvas.call(d3.drag()
+        .subject(event => {
+            const point = toGraphPoint(instance, event.x, event.y);
+            const node = findNodeAt(instance, point[0], point[1]);
+            return node ? { node: node, x: event.x, y: event.y } : null;
+        })
+        .on('start', event => {
+            if (!event.active) setLayoutTarget(instance, 0.3);
+            pinNode(instance, event.subject.node, event.subject.node.x, event.subject.node.y);
+        })
+        .on('drag', event => {
+            const point = toGraphPoint(instance, event.x, event.y);
+            pinNode(instance, event.subject.node, point[0], point[1]);
+        })
+        .on('end', event => {
+            if (!event.active) setLayoutTarget(instance, 0);
+            pinNode(instance, event.subject.node, null, null);
+        }));
+
+    if (config.enableZoom) {
+        canvas.call(instance.zoomBehavior);
+    }
+
+    // The browser tooltip shows the node label, or the flow totals in flow mode
+    canvas.on('mousemove.tooltip', event => {
+        const [x, y] = toGraphPoint(instance, ...d3.pointer(event));
+        const node = findNodeAt(instance, x, y);
+        const flow = !node && instance.flow ? findFlowAt(instance, x, y) : null;
+        canvas
+            .attr('title', node ? node.label || node.id : flow ? describeFlow(flow, instance.flow.options) : null)
+            .style('cursor', node ? 'pointer' : null);
+    });
+
+    instance.canvas = canvas;
+    instance.context = canvas.node().getContext('2d');
+}
+
+function isCanvasActive(instance) {
+    return instance.renderer === 'canvas' && !instance.sankey && !!instance.canvas;
+}
+
+// The element that carries the zoom transform
+function getView(instance) {
+    return isCanvasActive(instance) ? instance.canvas : instance.svg;
+}
+
+// Size of the visible area in zoom units, and where the layout's origin sits in it. The SVG viewBox
+// scales the layout to fit; the canvas draws at screen size with the layout centred.
+function getViewFrame(instance) {
+    const { config } = instance;
+    if (!isCanvasActive(instance)) {
+        return { width: config.width, height: config.height, offsetX: 0, offsetY: 0 };
+    }
+
+    const canvas = instance.canvas.node();
+    return {
+        width: canvas.clientWidth,
+        height: canvas.clientHeight,
+        offsetX: (canvas.clientWidth - config.width) / 2,
+        offsetY: (canvas.clientHeight - config.height) / 2
+    };
+}
+
+function showActiveView(instance) {
+    const canvasActive = isCanvasActive(instance);
+    instance.svg.style('display', canvasActive ? 'none' : null);
+    if (instance.canvas) {
+        instance.canvas.style('display', canvasActive ? 'block' : 'none');
+    }
+}
+
+function applyZoom(containerId, element, transform) {
+    const instance = graphInstances[containerId];
+    if (!instance) return;
+
+    if (element === instance.svg.node()) {
+        instance.g.attr('transform', transform);
+    } else {
+        requestDraw(instance);
+    }
+}
+
+function toGraphPoint(instance, x, y) {
+    const frame = getViewFrame(instance);
+    const [zx, zy] = d3.zoomTransform(instance.canvas.node()).invert([x, y]);
+    return [zx - frame.offsetX, zy - frame.offsetY];
+}
+
+function findNodeAt(instance, x, y) {
+    if (!instance.quadtree) {
+        instance.quadtree = d3.quadtree(instance.nodes, d => d.x, d => d.y);
+    }
+
+    const maxRadius = d3.max(instance.nodes, d => d.radius || instance.config.nodeRadius) || instance.config.nodeRadius;
+    const node = instance.quadtree.find(x, y, maxRadius + 2);
+    if (!node) return null;
+
+    // The search radius fits the largest node; check this one's own size
+    const radius = (node.radius || instance.config.nodeRadius) + 2;
+    return Math.hypot(node.x - x, node.y - y) <= radius ? node : null;
+}
+
+// Closest flow within half its width, measured against the curve in a few straight pieces
+function findFlowAt(instance, x, y) {
+    let closest = null;
+    let closestDistance = Infinity;
+
+    instance.renderedLinks.forEach(flow => {
+        const curve = getFlowCurve(flow);
+        const tolerance = instance.flow.widthScale(flow.total) / 2 + 3;
+        let previous = getFlowPoint(curve, 0);
+        for (let step = 1; step <= 4; step++) {
+            const point = getFlowPoint(curve, step / 4);
+            const distance = getSegmentDistance(x, y, previous, point);
+            if (distance <= tolerance && distance < closestDistance) {
+                closest = flow;
+                closestDistance = distance;
+            }
+            previous = point;
+        }
+    });
+
+    return closest;
+}
+
+function getSegmentDistance(x, y, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared ? Math.max(0, Math.min(1, ((x - a.x) * dx + (y - a.y) * dy) / lengthSquared)) : 0;
+    return Math.hypot(x - (a.x + t * dx), y - (a.y + t * dy));
+}
+
+function requestDraw(instance) {
+    if (instance.drawFrame === null && instance.canvas) {
+        instance.drawFrame = requestAnimationFrame(() => drawCanvas(instance));
+    }
+}
+
+function drawCanvas(instance) {
+    instance.drawFrame = null;
+    if (!isCanvasActive(instance)) return;
+
+    const { config, colorScale, nodes, flow } = instance;
+    const canvas = instance.canvas.node();
+    const ctx = instance.context;
+    const ratio = window.devicePixelRatio || 1;
+    const frame = getViewFrame(instance);
+
+    if (canvas.width !== Math.round(frame.width * ratio) || canvas.height !== Math.round(frame.height * ratio)) {
+        canvas.width = Math.round(frame.width * ratio);
+        canvas.height = Math.round(frame.height * ratio);
+    }
+
+    const transform = d3.zoomTransform(canvas);
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, frame.width, frame.height);
+    ctx.translate(transform.x, transform.y);
+    ctx.scale(transform.k, transform.k);
+    ctx.translate(frame.offsetX, frame.offsetY);
+
+    const highlightedId = instance.highlightedNodeId;
+    const isHighlighted = link => highlightedId !== null &&
+        (getEndId(link.source) === highlightedId || getEndId(link.target) === highlightedId);
+    const links = instance.renderedLinks || [];
+
+    // Links are batched by colour and width, with highlighted ones drawn last so they sit on top
+    const batches = d3.group(links.filter(link => typeof link.source === 'object'),
+        link => isHighlighted(link),
+        link => isHighlighted(link) ? '#ff6b6b' : getLinkColor(instance, link),
+        link => getLinkWidth(instance, link, isHighlighted(link)));
+
+    [false, true].forEach(highlighted => {
+        (batches.get(highlighted) || new Map()).forEach((byWidth, color) => {
+            byWidth.forEach((batch, width) => {
+                ctx.strokeStyle = color;
+                ctx.fillStyle = color;
+                ctx.lineWidth = width;
+                ctx.globalAlpha = flow ? 0.7 : 1;
+                ctx.beginPath();
+                batch.forEach(link => traceLink(ctx, instance, link));
+                ctx.stroke();
+
+                ctx.globalAlpha = 1;
+                ctx.beginPath();
+                batch.forEach(link => traceArrow(ctx, instance, link));
+                ctx.fill();
+            });
+        });
+    });
+
+    if (flow && flow.particles) {
+        flow.particles.forEach(particle => {
+            const point = getParticlePoint(particle, flow.elapsed || 0, flow.options.particleSpeed);
+            ctx.fillStyle = flow.colorScale(particle.flow.key);
+            ctx.beginPath();
+            ctx.arc(point.x, point.y, particle.radius, 0, 2 * Math.PI);
+            ctx.fill();
+        });
+    }
+
+    // Nodes, one fill per colour
+    d3.group(nodes, d => d.color || colorScale(getNodeGroup(d))).forEach((batch, color) => {
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        batch.forEach(d => {
+            const radius = d.radius || config.nodeRadius;
+            ctx.moveTo(d.x + radius, d.y);
+            ctx.arc(d.x, d.y, radius, 0, 2 * Math.PI);
+        });
+        ctx.fill();
+    });
+
+    ctx.strokeStyle = '#fff';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    nodes.forEach(d => {
+        const radius = d.radius || config.nodeRadius;
+        ctx.moveTo(d.x + radius, d.y);
+        ctx.arc(d.x, d.y, radius, 0, 2 * Math.PI);
+    });
+    ctx.stroke();
+
+    const highlightedNode = highlightedId !== null ? nodes.find(d => d.id === highlightedId) : null;
+    if (highlightedNode) {
+        ctx.strokeStyle = '#ff6b6b';
+        ctx.lineWidth = 4;
+        ctx.beginPath();
+        ctx.arc(highlightedNode.x, highlightedNode.y, highlightedNode.radius || config.nodeRadius, 0, 2 * Math.PI);
+        ctx.stroke();
+    }
+
+    // Thousands of labels are unreadable and slow, so they wait until the view is zoomed in
+    if (nodes.length <= config.canvasLabelLimit || transform.k >= 2) {
+        ctx.fillStyle = '#000';
+        ctx.font = '10px sans-serif';
+        ctx.textBaseline = 'alphabetic';
+        nodes.forEach(d => ctx.fillText(d.label || d.id, d.x + 12, d.y + 4));
+    }
+
+    if (flow) {
+        drawCanvasLegend(ctx, flow, ratio);
+    }
+}
+
+function traceLink(ctx, instance, link) {
+    if (instance.flow) {
+        const curve = getFlowCurve(link);
+        const end = getFlowEnd(curve, (link.target.radius || instance.config.nodeRadius) + 2);
+        ctx.moveTo(curve.x0, curve.y0);
+        ctx.quadraticCurveTo(curve.cx, curve.cy, end.x, end.y);
+    } else {
+        ctx.moveTo(link.source.x, link.source.y);
+        ctx.lineTo(link.target.x, link.target.y);
+    }
+}
+
+// Arrowhead at the target's edge, the same size as the SVG markers
+function traceArrow(ctx, instance, link) {
+    const radius = (link.target.radius || instance.config.nodeRadius) + 2;
+    const end = instance.flow ?
+        getFlowEnd(getFlowCurve(link), radius) :
+        getFlowEnd({ cx: link.source.x, cy: link.source.y, x1: link.target.x, y1: link.target.y }, radius);
+    const size = instance.flow ? 10 : 6;
+
+    ctx.moveTo(end.x, end.y);
+    ctx.lineTo(end.x - end.dx * size - end.dy * size / 2, end.y - end.dy * size + end.dx * size / 2);
+    ctx.lineTo(end.x - end.dx * size + end.dy * size / 2, end.y - end.dy * size - end.dx * size / 2);
+    ctx.closePath();
+}
+
+function drawCanvasLegend(ctx, flow, ratio) {
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.font = '11px sans-serif';
+    flow.keys.forEach((key, i) => {
+        ctx.fillStyle = flow.colorScale(key);
+        ctx.fillRect(10, 14 + i * 16, 18, 4);
+        ctx.fillStyle = '#000';
+        ctx.fillText(key, 34, 20 + i * 16);
+    });
+}
+
+// Sankey mode
+// Draws the setData payload as staged fund flows: source accounts on the left, intermediaries in the
+// middle and destinations on the right, with ribbon widths proportional to the amounts moved.
+// Requires the d3-sankey plugin.
+
+function createSankeyState(options) {
+    return {
+        options: {
+            amountField: 'amount',
+            nodeWidth: 15,
+            nodePadding: 12,
+            align: 'justify',
+            ...options
+        },
+        returnLinks: []
+    };
+}
+
+/**
+ * Switch between the force layout and the Sankey view of the same data
+ * Transfers between the same two accounts are summed. A Sankey diagram cannot show cycles, so round
+ * trips are broken at their smallest transfer, which is drawn as a dashed return line instead.
+ * options: { amountField: 'amount' (falls back to value), nodeWidth: 15, nodePadding: 12,
+ *   align: 'justify' | 'left' | 'right' | 'center' }
+ */
+export function setSankeyMode(containerId, enabled, options) {
+    const instance = graphInstances[containerId];
+    if (!instance) return false;
+
+    if (enabled) {
+        stopFlowParticles(instance);
+        instance.flow = null;
+        instance.svg.selectAll('.flow-legend').remove();
+    }
+    instance.sankey = enabled ? createSankeyState(options) : null;
+    renderGraph(containerId);
+    return true;
+}
+
+// Transfers left out of the Sankey layout to break cycles: [{ source, target, amount }]
+export function getSankeyReturnLinks(containerId) {
+    const instance = graphInstances[containerId];
+    if (!instance || !instance.sankey) return [];
+
+    return instance.sankey.returnLinks.map(link => ({
+        source: link.source,
+        target: link.target,
+        amount: link.value
+    }));
+}
+
+function renderSankey(containerId) {
+    const instance = graphInstances[containerId];
+    const { g, simulation, config, colorScale } = instance;
+    const options = instance.sankey.options;
+
+    // The Sankey diagram is always SVG; it is small next to the graphs the canvas is for
+    g.selectAll('*').remove();
+    instance.layers = null;
+    showActiveView(instance);
+    stopFlowParticles(instance);
+
+    // The force layout is not used here; leave it with nothing to move
+    haltLayout(instance);
+    simulation.on('tick', null);
+    simulation.nodes([]);
+    simulation.force('link').links([]);
+
+    const { links, returnLinks } = splitSankeyLinks(aggregateSankeyLinks(instance));
+    instance.sankey.returnLinks = returnLinks;
+
+    // Accounts without transfers have no height in a Sankey diagram
+    const linked = new Set(links.concat(returnLinks).flatMap(link => [link.source, link.target]));
+    const align = `sankey${options.align.charAt(0).toUpperCase() + options.align.slice(1)}`;
+    const layout = d3.sankey()
+        .nodeId(d => d.id)
+        .nodeWidth(options.nodeWidth)
+        .nodePadding(options.nodePadding)
+        .nodeAlign(d3[align] || d3.sankeyJustify)
+        .extent([[1, 5], [config.width - 1, config.height - (returnLinks.length > 0 ? 50 : 5)]]);
+
+    // d3-sankey cannot lay out an empty diagram, which is what transfers without amounts leave
+    const graph = links.length === 0 ? { nodes: [], links: [] } : layout({
+        nodes: instance.nodes.filter(n => linked.has(n.id)).map(n => ({ ...n })),
+        links: links.map(link => ({ ...link }))
+    });
 
-        nodeElements
-            .attr('cx', d => d.x)
-            .attr('cy', d => d.y);
+    const number = d3.format(',.2f');
 
-        labelElements
-            .attr('x', d => d.x)
-            .attr('y', d => d.y);
+    const linkElements = g.append('g')
+        .attr('class', 'links sankey-links')
+        .attr('fill', 'none')
+        .attr('stroke-opacity', 0.4)
+        .selectAll('path')
+        .data(graph.links)
+        .join('path')
+        .attr('d', d3.sankeyLinkHorizontal())
+        .attr('stroke', d => colorScale(getNodeGroup(d.source)))
+        .attr('stroke-width', d => Math.max(1, d.width));
+
+    linkElements.append('title')
+        .text(d => `${d.source.label || d.source.id} \u2192 ${d.target.label || d.target.id}\n${number(d.value)} in ${d.count} transfer${d.count === 1 ? '' : 's'}`);
+
+    // Return lines loop under the diagram, from the bottom of one account to the bottom of the other
+    const nodeById = new Map(graph.nodes.map(n => [n.id, n]));
+    g.append('g')
+        .attr('class', 'sankey-returns')
+        .attr('fill', 'none')
+        .attr('stroke', '#dc2626')
+        .attr('stroke-dasharray', '6,4')
+        .selectAll('path')
+        .data(returnLinks.filter(link => nodeById.has(link.source) && nodeById.has(link.target)))
+        .join('path')
+        .attr('d', d => {
+            const source = nodeById.get(d.source);
+            const target = nodeById.get(d.target);
+            const x0 = (source.x0 + source.x1) / 2;
+            const x1 = (target.x0 + target.x1) / 2;
+            const bottom = Math.max(source.y1, target.y1) + 40;
+            return `M${x0},${source.y1}C${x0},${bottom} ${x1},${bottom} ${x1},${target.y1}`;
+        })
+        .append('title')
+        .text(d => `Return: ${nodeById.get(d.source).label || d.source} \u2192 ${nodeById.get(d.target).label || d.target}\n` +
+            `${number(d.value)} in ${d.count} transfer${d.count === 1 ? '' : 's'}`);
+
+    const nodeElements = g.append('g')
+        .attr('class', 'nodes sankey-nodes')
+        .selectAll('rect')
+        .data(graph.nodes)
+        .join('rect')
+        .attr('x', d => d.x0)
+        .attr('y', d => d.y0)
+        .attr('width', d => d.x1 - d.x0)
+        .attr('height', d => Math.max(1, d.y1 - d.y0))
+        .attr('fill', d => d.color || colorScale(getNodeGroup(d)))
+        .attr('stroke', '#fff')
+        .attr('stroke-width', 2);
+
+    nodeElements.append('title')
+        .text(d => `${d.label || d.id}\nIn: ${number(d3.sum(d.targetLinks, l => l.value))}\nOut: ${number(d3.sum(d.sourceLinks, l => l.value))}`);
+
+    // Labels sit outside the node, towards the middle of the diagram
+    const labelElements = g.append('g')
+        .attr('class', 'labels')
+        .attr('font-size', 10)
+        .selectAll('text')
+        .data(graph.nodes)
+        .join('text')
+        .attr('x', d => d.x0 < config.width / 2 ? d.x1 + 6 : d.x0 - 6)
+        .attr('y', d => (d.y0 + d.y1) / 2)
+        .attr('dy', '0.35em')
+        .attr('text-anchor', d => d.x0 < config.width / 2 ? 'start' : 'end')
+        .text(d => d.label || d.id);
+
+    instance.nodeElements = nodeElements;
+    instance.linkElements = linkElements;
+    instance.labelElements = labelElements;
+
+    applyHighlight(instance);
+}
+
+function aggregateSankeyLinks(instance) {
+    const amountField = instance.sankey.options.amountField;
+    const nodeIds = new Set(instance.nodes.map(n => n.id));
+    const totals = new Map();
+
+    instance.links.forEach(transfer => {
+        const source = getEndId(transfer.source);
+        const target = getEndId(transfer.target);
+        if (source === target || !nodeIds.has(source) || !nodeIds.has(target)) return;
+
+        const amount = Number(transfer[amountField] !== undefined ? transfer[amountField] : transfer.value) || 0;
+        const key = `${source}|${target}`;
+        const link = totals.get(key) || { source: source, target: target, value: 0, count: 0 };
+        link.value += amount;
+        link.count += 1;
+        totals.set(key, link);
+    });
+
+    return [...totals.values()].filter(link => link.value > 0);
+}
+
+// Remove the smallest link of each cycle until the rest is acyclic
+function splitSankeyLinks(links) {
+    const remaining = new Set(links);
+    const returnLinks = [];
+
+    for (;;) {
+        const cycle = findLinkCycle([...remaining]);
+        if (!cycle) break;
+
+        const smallest = cycle.reduce((min, link) => link.value < min.value ? link : min);
+        remaining.delete(smallest);
+        returnLinks.push(smallest);
+    }
+
+    return { links: links.filter(link => remaining.has(link)), returnLinks: returnLinks };
+}
+
+function findLinkCycle(links) {
+    const outgoing = d3.group(links, link => link.source);
+    const state = new Map();
+
+    for (const start of outgoing.keys()) {
+        if (state.has(start)) continue;
+
+        // Iterative depth-first search; the path holds the links from start to the current node
+        const path = [];
+        const stack = [{ node: start, next: 0 }];
+        state.set(start, 'open');
+
+        while (stack.length > 0) {
+            const frame = stack[stack.length - 1];
+            const edges = outgoing.get(frame.node) || [];
+
+            if (frame.next >= edges.length) {
+                state.set(frame.node, 'done');
+                stack.pop();
+                path.pop();
+                continue;
+            }
+
+            const link = edges[frame.next++];
+            if (state.get(link.target) === 'open') {
+                const from = path.findIndex(l => l.source === link.target);
+                return path.slice(from === -1 ? path.length : from).concat([link]);
+            }
+            if (!state.has(link.target)) {
+                state.set(link.target, 'open');
+                path.push(link);
+                stack.push({ node: link.target, next: 0 });
+            }
+        }
+    }
+
+    return null;
+}
+
+// Layout worker
+// d3-network-worker.js runs the forces on its own thread and streams positions back; they are applied as
+// they arrive and drawn on the next animation frame. The main-thread simulation still holds the nodes and
+// resolved links but is never started while the worker is in use.
+
+/**
+ * Move the force layout to a Web Worker or back to the main thread; the layout carries on from where it is
+ * workerUrl in the initialize options overrides where the worker script is loaded from.
+ */
+export function setLayoutWorker(containerId, enabled) {
+    const instance = graphInstances[containerId];
+    if (!instance) return false;
+
+    if (!!enabled === !!instance.layoutWorker) return true;
+
+    if (enabled) {
+        instance.layoutAlpha = instance.simulation.alpha();
+        if (!createLayoutWorker(containerId)) {
+            return false;
+        }
+        if (!instance.sankey) restartLayout(instance, 0);
+    } else {
+        stopLayoutWorker(instance);
+        if (!instance.sankey) instance.simulation.alpha(instance.layoutAlpha).restart();
+    }
+
+    return true;
+}
+
+function createLayoutWorker(containerId) {
+    const instance = graphInstances[containerId];
+
+    let worker;
+    try {
+        worker = new Worker(instance.config.workerUrl || new URL('d3-network-worker.js', import.meta.url));
+    } catch (error) {
+        console.error('Error starting layout worker:', error);
+        return false;
+    }
+
+    worker.onmessage = event => onLayoutMessage(instance, event.data);
+
+    // A worker that cannot load (blocked by policy, d3 unreachable) leaves the layout to the main thread
+    worker.onerror = event => {
+        console.error('Layout worker failed, continuing on the main thread:', event.message);
+        stopLayoutWorker(instance);
+        if (!instance.sankey) instance.simulation.alpha(1).restart();
+    };
+
+    // d3.forceSimulation starts its timer when created; only the worker moves the nodes from here on
+    instance.simulation.stop();
+    instance.layoutWorker = worker;
+    return true;
+}
+
+function stopLayoutWorker(instance) {
+    if (!instance.layoutWorker) return;
+
+    instance.layoutWorker.terminate();
+    instance.layoutWorker = null;
+    instance.layoutGeneration++;
+    if (instance.layoutFrame !== null) {
+        cancelAnimationFrame(instance.layoutFrame);
+        instance.layoutFrame = null;
+    }
+}
+
+// Reheat the layout, in the worker when one is running
+function restartLayout(instance, alpha) {
+    const { simulation, config } = instance;
+
+    if (!instance.layoutWorker) {
+        simulation.alpha(Math.max(simulation.alpha(), alpha)).restart();
+        return;
+    }
+
+    // The worker starts over from the current positions and speeds with the current node list
+    instance.layoutGeneration++;
+    instance.layoutProgressStep = null;
+    instance.layoutAlpha = Math.max(instance.layoutAlpha, alpha);
+    instance.layoutWorker.postMessage({
+        type: 'start',
+        generation: instance.layoutGeneration,
+        alpha: instance.layoutAlpha,
+        layoutType: instance.layoutType,
+        config: {
+            width: config.width,
+            height: config.height,
+            nodeRadius: config.nodeRadius,
+            linkDistance: config.linkDistance,
+            chargeStrength: config.chargeStrength
+        },
+        nodes: simulation.nodes().map(d => ({ x: d.x, y: d.y, vx: d.vx, vy: d.vy, fx: d.fx, fy: d.fy, level: d.level })),
+        links: simulation.force('link').links().map(link => ({ source: link.source.index, target: link.target.index }))
     });
+}
 
-    simulation.alpha(1).restart();
+function haltLayout(instance) {
+    instance.simulation.stop();
+    if (instance.layoutWorker) {
+        instance.layoutWorker.postMessage({ type: 'stop', generation: instance.layoutGeneration });
+        instance.layoutGeneration++;
+    }
+}
+
+function setLayoutTarget(instance, alphaTarget) {
+    if (instance.layoutWorker) {
+        instance.layoutWorker.postMessage({ type: 'alphaTarget', generation: instance.layoutGeneration, value: alphaTarget });
+    } else if (alphaTarget > 0) {
+        instance.simulation.alphaTarget(alphaTarget).restart();
+    } else {
+        instance.simulation.alphaTarget(alphaTarget);
+    }
+}
+
+// Fix a node in place while it is dragged; null releases it
+function pinNode(instance, node, x, y) {
+    node.fx = x;
+    node.fy = y;
+    if (instance.layoutWorker) {
+        instance.layoutWorker.postMessage({ type: 'pin', generation: instance.layoutGeneration, index: node.index, x: x, y: y });
+    }
+}
+
+function onLayoutMessage(instance, message) {
+    if (message.generation !== instance.layoutGeneration) return;
+
+    const { nodes } = instance;
+    const positions = message.positions;
+    if (positions.length !== nodes.length * 2) return;
+
+    nodes.forEach((node, i) => {
+        node.x = positions[i * 2];
+        node.y = positions[i * 2 + 1];
+    });
+    instance.layoutAlpha = message.alpha;
+    instance.quadtree = null;
+
+    // The canvas already waits for a frame; SVG elements are moved once per frame however often positions arrive
+    if (isCanvasActive(instance)) {
+        onTick(instance);
+    } else if (instance.layoutFrame === null) {
+        instance.layoutFrame = requestAnimationFrame(() => {
+            instance.layoutFrame = null;
+            onTick(instance);
+        });
+    }
+
+    reportLayoutProgress(instance, message.progress);
+}
+
+// .NET hears about every 5% and the end, which keeps interop cheap on layouts that take thousands of ticks
+function reportLayoutProgress(instance, progress) {
+    const step = Math.floor(progress * 20);
+    if (!instance.dotNetRef || step === instance.layoutProgressStep) return;
+
+    instance.layoutProgressStep = step;
+    instance.dotNetRef.invokeMethodAsync('OnLayoutProgress', step / 20).catch(error => {
+        console.error('Error reporting layout progress:', error);
+    });
 }
 
 // Drag behavior
-function drag(simulation) {
+function drag(instance) {
     function dragstarted(event) {
-        if (!event.active) simulation.alphaTarget(0.3).restart();
-        event.subject.fx = event.subject.x;
-        event.subject.fy = event.subject.y;
+        if (!event.active) setLayoutTarget(instance, 0.3);
+        pinNode(instance, event.subject, event.subject.x, event.subject.y);
     }
 
     function dragged(event) {
-        event.subject.fx = event.x;
-        event.subject.fy = event.y;
+        pinNode(instance, event.subject, event.x, event.y);
     }
 
     function dragended(event) {
-        if (!event.active) simulation.alphaTarget(0);
-        event.subject.fx = null;
-        event.subject.fy = null;
+        if (!event.active) setLayoutTarget(instance, 0);
+        pinNode(instance, event.subject, null, null);
     }
 
     return d3.drag()
         .on('start', dragstarted)
         .on('drag', dragged)
         .on('end', dragended);
-}
+}
\ No newline at end of file
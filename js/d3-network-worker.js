@@ -0,0 +1,115 @@
+// Force layout worker for d3-network-graph.js
+// Runs the same forces as the main-thread simulation and posts node positions back after each frame's worth
+// of ticks, so the page stays responsive while a large network settles. Every message carries the generation
+// it was started with; anything for an older node list is dropped.
+
+// Same build as index.html
+importScripts('https://d3js.org/d3.v7.min.js');
+
+// Milliseconds of ticking between position updates
+const frameBudget = 16;
+
+let simulation = null;
+let generation = 0;
+let startAlpha = 1;
+let timeout = null;
+
+self.onmessage = event => {
+    const message = event.data;
+
+    if (message.type === 'start') {
+        start(message);
+        return;
+    }
+    if (!simulation || message.generation !== generation) return;
+
+    switch (message.type) {
+        case 'pin': {
+            const node = simulation.nodes()[message.index];
+            if (node) {
+                node.fx = message.x;
+                node.fy = message.y;
+            }
+            break;
+        }
+        case 'alphaTarget':
+            simulation.alphaTarget(message.value);
+            if (message.value > 0) schedule();
+            break;
+        case 'stop':
+            clearTimeout(timeout);
+            timeout = null;
+            simulation = null;
+            break;
+    }
+};
+
+// nodes: [{ x, y, vx, vy, fx, fy, level }], links: [{ source, target }] as node indexes
+function start(message) {
+    const { config } = message;
+
+    generation = message.generation;
+    startAlpha = message.alpha;
+    simulation = d3.forceSimulation(message.nodes)
+        .stop()
+        .alpha(message.alpha)
+        .force('link', d3.forceLink(message.links).distance(config.linkDistance))
+        .force('charge', d3.forceManyBody().strength(config.chargeStrength))
+        .force('center', d3.forceCenter(config.width / 2, config.height / 2))
+        .force('collision', d3.forceCollide().radius(config.nodeRadius * 2));
+
+    if (message.layoutType === 'hierarchical') {
+        simulation
+            .force('x', d3.forceX(config.width / 2).strength(0.1))
+            .force('y', d3.forceY(d => d.level * 100).strength(0.5));
+    }
+
+    schedule();
+}
+
+function schedule() {
+    if (timeout === null) {
+        timeout = setTimeout(run, 0);
+    }
+}
+
+function run() {
+    timeout = null;
+    if (!simulation) return;
+
+    const started = performance.now();
+    do {
+        simulation.tick();
+    } while (!isSettled() && performance.now() - started < frameBudget);
+
+    const nodes = simulation.nodes();
+    const positions = new Float64Array(nodes.length * 2);
+    nodes.forEach((node, i) => {
+        positions[i * 2] = node.x;
+        positions[i * 2 + 1] = node.y;
+    });
+
+    const settled = isSettled();
+    self.postMessage({
+        type: 'tick',
+        generation: generation,
+        positions: positions,
+        alpha: simulation.alpha(),
+        progress: settled ? 1 : getProgress()
+    }, [positions.buffer]);
+
+    if (!settled) schedule();
+}
+
+// Like d3's own timer, the layout is done once alpha has cooled below alphaMin
+function isSettled() {
+    return simulation.alpha() < simulation.alphaMin();
+}
+
+// Alpha decays geometrically, so progress is measured on a log scale from the starting alpha
+function getProgress() {
+    const alphaMin = simulation.alphaMin();
+    if (startAlpha <= alphaMin) return 1;
+    const progress = Math.log(simulation.alpha() / startAlpha) / Math.log(alphaMin / startAlpha);
+    return Math.max(0, Math.min(1, progress));
+}
\ No newline at end of file
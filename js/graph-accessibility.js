@@ -0,0 +1,422 @@
+// Accessible view for the vis.js graph modules
+// The graph canvas is invisible to screen readers and unreachable by keyboard, so this adds an ARIA tree
+// of the same entities and relationships, kept in step with the data and the graph selection. Entities
+// are listed by name with their relationships one level down; a live region announces each move. The
+// tree is visually hidden until it receives focus, when it opens as a panel over the graph. While it is
+// hidden and unfocused, data changes only mark it out of date and it is rebuilt when focus arrives.
+
+window.graphAccessibility = {
+    defaultOptions: {
+        alwaysVisible: false,
+        followFocus: true,
+        maxAnnouncedLinks: 5,
+        strings: {
+            label: 'Relationship graph',
+            instructions: 'Up and down arrows move between entities. Right arrow lists the connections of an entity; ' +
+                'on a connection, Right arrow or Enter moves to the connected entity and Left arrow goes back. ' +
+                'Enter selects an entity. Type a letter to jump to an entity by name.',
+            entities: 'entities',
+            relationships: 'relationships',
+            connection: 'connection',
+            connections: 'connections',
+            outgoing: 'to',
+            incoming: 'from',
+            more: 'more',
+            related: 'Related'
+        }
+    },
+
+    // Numbers the instruction ids, which must be unique when a page has several graphs
+    viewCount: 0,
+
+    /**
+     * Attach an accessible view to a graph
+     * @param {Object} network - vis.Network
+     * @param {HTMLElement} container - The graph container
+     * @param {Object} options - { alwaysVisible: false, followFocus: true, maxAnnouncedLinks: 5, strings,
+     *   onActivate: nodeId => {} called for Enter or Space on an entity }
+     * @returns {Object} { refresh, focusNode, detach }
+     */
+    attach: function (network, container, options) {
+        const config = {
+            ...this.defaultOptions,
+            ...options,
+            strings: { ...this.defaultOptions.strings, ...(options && options.strings) }
+        };
+        const strings = config.strings;
+
+        if (getComputedStyle(container).position === 'static') {
+            container.style.position = 'relative';
+        }
+
+        const hiddenStyle = 'position: absolute; width: 1px; height: 1px; margin: -1px; padding: 0; overflow: hidden; ' +
+            'clip: rect(0 0 0 0); white-space: nowrap; border: 0;';
+        const panelStyle = 'position: absolute; top: 8px; left: 8px; bottom: 8px; z-index: 13; width: 280px; overflow: auto; ' +
+            'padding: 8px; background: rgba(255, 255, 255, 0.97); border: 1px solid #dee2e6; border-radius: 4px; ' +
+            'box-shadow: 0 2px 6px rgba(0, 0, 0, 0.1); font-size: 12px;';
+
+        const root = document.createElement('div');
+        root.className = 'graph-accessible-view';
+        root.style.cssText = config.alwaysVisible ? panelStyle : hiddenStyle;
+
+        const instructions = document.createElement('p');
+        instructions.id = `graph-accessible-instructions-${++this.viewCount}`;
+        instructions.style.cssText = 'margin: 0 0 6px; color: #6b7280;';
+
+        const tree = document.createElement('ul');
+        tree.setAttribute('role', 'tree');
+        tree.setAttribute('aria-label', strings.label);
+        tree.setAttribute('aria-describedby', instructions.id);
+        tree.style.cssText = 'margin: 0; padding: 0; list-style: none;';
+
+        const status = document.createElement('div');
+        status.setAttribute('role', 'status');
+        status.setAttribute('aria-live', 'polite');
+        status.style.cssText = hiddenStyle;
+
+        root.appendChild(instructions);
+        root.appendChild(tree);
+        root.appendChild(status);
+        container.appendChild(root);
+
+        let entries = new Map();
+        const items = new Map();
+        let active = null;
+        let pending = null;
+        let stale = false;
+        let typed = '';
+        let typedAt = 0;
+
+        const describeNode = entry => {
+            const count = entry.links.length;
+            return `${this.describeNode(entry.node)}, ${count} ${count === 1 ? strings.connection : strings.connections}`;
+        };
+
+        const describeLink = link => {
+            const neighbour = entries.get(link.neighbourId);
+            return `${link.outgoing ? strings.outgoing : strings.incoming} ${this.getNodeLabel(neighbour.node)}, ` +
+                this.getEdgeLabel(link.edge, strings);
+        };
+
+        const announce = text => {
+            status.textContent = text;
+        };
+
+        const announceEntry = entry => {
+            const shown = entry.links.slice(0, config.maxAnnouncedLinks).map(describeLink);
+            const rest = entry.links.length - shown.length;
+            announce(`${describeNode(entry)}${shown.length ? ': ' + shown.join('; ') : ''}` +
+                (rest > 0 ? `; ${rest} ${strings.more}` : ''));
+        };
+
+        const createItem = (text, level, position, size) => {
+            const item = document.createElement('li');
+            item.setAttribute('role', 'treeitem');
+            item.setAttribute('aria-level', String(level));
+            item.setAttribute('aria-posinset', String(position));
+            item.setAttribute('aria-setsize', String(size));
+            item.setAttribute('aria-selected', 'false');
+            item.setAttribute('aria-label', text);
+            item.tabIndex = -1;
+            item.style.cssText = `padding-left: ${(level - 1) * 12}px; cursor: default;`;
+
+            // The highlight goes on the label so an expanded entity does not highlight its connections too
+            const label = document.createElement('span');
+            label.style.cssText = 'display: block; padding: 2px 4px; border-radius: 3px;';
+            label.textContent = text;
+            item.appendChild(label);
+            return item;
+        };
+
+        // Connections are only rendered while their entity is expanded, which keeps large graphs cheap
+        const expand = entry => {
+            if (entry.group || entry.links.length === 0) return;
+
+            entry.group = document.createElement('ul');
+            entry.group.setAttribute('role', 'group');
+            entry.group.style.cssText = 'margin: 0; padding: 0; list-style: none;';
+            entry.links.forEach((link, index) => {
+                const text = describeLink(link);
+                const item = createItem(text, 2, index + 1, entry.links.length);
+                items.set(item, { entry: entry, link: link });
+                entry.group.appendChild(item);
+            });
+            entry.element.appendChild(entry.group);
+            entry.element.setAttribute('aria-expanded', 'true');
+        };
+
+        const collapse = entry => {
+            if (!entry.group) return;
+
+            const wasInside = active && entry.group.contains(active);
+            entry.group.querySelectorAll('[role="treeitem"]').forEach(item => items.delete(item));
+            entry.group.remove();
+            entry.group = null;
+            entry.element.setAttribute('aria-expanded', 'false');
+            if (wasInside) setActive(entry.element);
+        };
+
+        // Roving tabindex: the active item is the one Tab reaches
+        const setActive = item => {
+            if (active === item) return;
+            if (active) {
+                active.tabIndex = -1;
+                active.setAttribute('aria-selected', 'false');
+                active.firstChild.style.background = '';
+            }
+            active = item;
+            if (active) {
+                active.tabIndex = 0;
+                active.setAttribute('aria-selected', 'true');
+                active.firstChild.style.background = '#dbeafe';
+            }
+        };
+
+        const showInGraph = info => {
+            const nodeId = info.link ? info.link.neighbourId : info.entry.nodeId;
+            if (info.link) {
+                network.setSelection({ nodes: [info.entry.nodeId, info.link.neighbourId], edges: [info.link.edge.id] });
+            } else {
+                network.selectNodes([nodeId]);
+            }
+
+            if (config.followFocus) {
+                // A node folded into a cluster is shown through its outermost cluster
+                const path = network.findNode(nodeId);
+                network.focus(path && path.length ? path[0] : nodeId, {
+                    scale: network.getScale(),
+                    locked: false,
+                    animation: { duration: 300, easingFunction: 'easeInOutQuad' }
+                });
+            }
+        };
+
+        const move = item => {
+            if (!item) return;
+
+            setActive(item);
+            item.focus();
+            item.scrollIntoView({ block: 'nearest' });
+
+            const info = items.get(item);
+            showInGraph(info);
+            if (info.link) {
+                announce(item.getAttribute('aria-label'));
+            } else {
+                announceEntry(info.entry);
+            }
+        };
+
+        const goToNeighbour = link => {
+            const entry = entries.get(link.neighbourId);
+            expand(entry);
+            move(entry.element);
+        };
+
+        const findByLetter = (text, from) => {
+            const list = [...entries.values()];
+            const start = from ? list.indexOf(from) : -1;
+            for (let offset = 1; offset <= list.length; offset++) {
+                const entry = list[(start + offset) % list.length];
+                if (this.getNodeLabel(entry.node).toLowerCase().startsWith(text)) {
+                    return entry;
+                }
+            }
+            return null;
+        };
+
+        const onKeyDown = (event) => {
+            const item = event.target.closest('[role="treeitem"]');
+            const info = item && items.get(item);
+            if (!info) return;
+
+            const visible = [...tree.querySelectorAll('[role="treeitem"]')];
+            const index = visible.indexOf(item);
+
+            switch (event.key) {
+                case 'ArrowDown':
+                    move(visible[index + 1]);
+                    break;
+                case 'ArrowUp':
+                    move(visible[index - 1]);
+                    break;
+                case 'Home':
+                    move(visible[0]);
+                    break;
+                case 'End':
+                    move(visible[visible.length - 1]);
+                    break;
+                case 'ArrowRight':
+                    if (info.link) {
+                        goToNeighbour(info.link);
+                    } else if (!info.entry.group) {
+                        expand(info.entry);
+                        announceEntry(info.entry);
+                    } else {
+                        move(info.entry.group.firstChild);
+                    }
+                    break;
+                case 'ArrowLeft':
+                    if (info.link) {
+                        move(info.entry.element);
+                    } else {
+                        collapse(info.entry);
+                    }
+                    break;
+                case 'Enter':
+                case ' ':
+                    if (info.link) {
+                        goToNeighbour(info.link);
+                    } else if (config.onActivate) {
+                        config.onActivate(info.entry.nodeId);
+                    }
+                    break;
+                default: {
+                    if (event.key.length !== 1 || event.ctrlKey || event.metaKey || event.altKey) return;
+
+                    // Letters typed in quick succession build up a prefix
+                    const now = Date.now();
+                    typed = now - typedAt < 700 ? typed + event.key.toLowerCase() : event.key.toLowerCase();
+                    typedAt = now;
+                    const match = findByLetter(typed, typed.length > 1 ? null : info.entry);
+                    if (match) move(match.element);
+                }
+            }
+            event.preventDefault();
+        };
+
+        const build = () => {
+            pending = null;
+            stale = false;
+
+            const activeInfo = active && items.get(active);
+            const activeKey = activeInfo && (activeInfo.link ? activeInfo.link.edge.id : activeInfo.entry.nodeId);
+            const expanded = new Set([...entries.values()].filter(entry => entry.group).map(entry => entry.nodeId));
+            const hadFocus = root.contains(document.activeElement);
+
+            const nodes = network.body.data.nodes.get({ filter: node => !node.hidden });
+            const edges = network.body.data.edges.get({ filter: edge => !edge.hidden });
+
+            entries = new Map();
+            nodes
+                .sort((a, b) => this.getNodeLabel(a).localeCompare(this.getNodeLabel(b)))
+                .forEach(node => entries.set(node.id, { nodeId: node.id, node: node, links: [], element: null, group: null }));
+
+            let relationshipCount = 0;
+            edges.forEach(edge => {
+                const from = entries.get(edge.from);
+                const to = entries.get(edge.to);
+                if (!from || !to) return;
+                relationshipCount++;
+                from.links.push({ edge: edge, neighbourId: edge.to, outgoing: true });
+                if (edge.from !== edge.to) {
+                    to.links.push({ edge: edge, neighbourId: edge.from, outgoing: false });
+                }
+            });
+
+            items.clear();
+            active = null;
+            tree.innerHTML = '';
+
+            let position = 0;
+            entries.forEach(entry => {
+                const text = describeNode(entry);
+                entry.element = createItem(text, 1, ++position, entries.size);
+                if (entry.links.length > 0) {
+                    entry.element.setAttribute('aria-expanded', 'false');
+                }
+                items.set(entry.element, { entry: entry, link: null });
+                tree.appendChild(entry.element);
+
+                if (expanded.has(entry.nodeId)) expand(entry);
+            });
+
+            instructions.textContent = `${entries.size} ${strings.entities}, ${relationshipCount} ${strings.relationships}. ` +
+                strings.instructions;
+
+            let restored = null;
+            items.forEach((info, item) => {
+                const key = info.link ? info.link.edge.id : info.entry.nodeId;
+                if (!restored && key === activeKey) restored = item;
+            });
+            setActive(restored || tree.firstChild);
+            if (hadFocus && active) active.focus();
+        };
+
+        // Temporal playback and overlays update the data every frame; nobody reads a hidden, unfocused tree
+        const refresh = () => {
+            if (!config.alwaysVisible && !root.contains(document.activeElement)) {
+                stale = true;
+            } else if (pending === null) {
+                pending = requestAnimationFrame(build);
+            }
+        };
+
+        // Follow selections made on the canvas, unless someone is working in the tree
+        const onSelect = (params) => {
+            if (root.contains(document.activeElement)) return;
+
+            const entry = params.nodes.length > 0 && entries.get(params.nodes[0]);
+            if (entry && !(active && items.get(active).entry === entry)) {
+                setActive(entry.element);
+            }
+        };
+
+        const onFocusIn = () => {
+            if (!config.alwaysVisible) root.style.cssText = panelStyle;
+            if (stale) build();
+        };
+
+        const onFocusOut = (event) => {
+            if (!config.alwaysVisible && !root.contains(event.relatedTarget)) root.style.cssText = hiddenStyle;
+        };
+
+        const onClick = (event) => {
+            const item = event.target.closest('[role="treeitem"]');
+            if (item && items.has(item)) move(item);
+        };
+
+        tree.addEventListener('keydown', onKeyDown);
+        tree.addEventListener('click', onClick);
+        root.addEventListener('focusin', onFocusIn);
+        root.addEventListener('focusout', onFocusOut);
+        network.on('select', onSelect);
+        network.body.data.nodes.on('*', refresh);
+        network.body.data.edges.on('*', refresh);
+
+        build();
+
+        return {
+            refresh: refresh,
+            focusNode: nodeId => {
+                if (stale) build();
+                const entry = entries.get(nodeId);
+                if (entry) move(entry.element);
+                return !!entry;
+            },
+            detach: () => {
+                if (pending !== null) cancelAnimationFrame(pending);
+                network.off('select', onSelect);
+                network.body.data.nodes.off('*', refresh);
+                network.body.data.edges.off('*', refresh);
+                root.remove();
+            }
+        };
+    },
+
+    getNodeLabel: function (node) {
+        const label = node.label || node.name || node.fullName;
+        return label ? String(label).replace(/\s+/g, ' ').trim() : String(node.id);
+    },
+
+    getEdgeLabel: function (edge, strings) {
+        const label = edge.label || edge.relationshipType || edge.relationship || edge.type;
+        return label ? String(label).replace(/\s+/g, ' ').trim() : strings.related;
+    },
+
+    describeNode: function (node) {
+        const source = { ...(node.properties || {}), ...node };
+        const type = source.type || source.nodeType || source.entityType || (typeof source.group === 'string' ? source.group : null);
+        return type ? `${this.getNodeLabel(node)}, ${type}` : this.getNodeLabel(node);
+    }
+};
\ No newline at end of file
@@ -0,0 +1,462 @@
+// Vector export for vis.js relationship graphs (SVG and paginated PDF)
+// Renders the whole graph from node positions rather than the visible canvas, so case files
+// get every entity at any resolution. Used by network-graph.js and relationshipGraph.js.
+
+window.graphExport = {
+    pageSizes: {
+        A4: { width: 842, height: 595 },
+        A3: { width: 1191, height: 842 }
+    },
+
+    /**
+     * Collect what the network currently shows (visible, unclustered items) with resolved styles
+     * @param {Object} network - vis.Network instance
+     * @returns {Object} Scene with nodes, edges and bounds in graph coordinates
+     */
+    buildScene: function (network) {
+        const body = network.body;
+
+        const nodes = body.nodeIndices
+            .map(id => body.nodes[id])
+            .filter(node => node && !node.options.hidden)
+            .map(node => {
+                const options = node.options;
+                const color = options.color || {};
+                return {
+                    id: node.id,
+                    x: node.x,
+                    y: node.y,
+                    size: options.size || 16,
+                    shape: options.shape || 'dot',
+                    background: color.background || '#97c2fc',
+                    border: color.border || '#2b7ce9',
+                    borderWidth: options.borderWidth || 1,
+                    opacity: typeof options.opacity === 'number' ? options.opacity : 1,
+                    label: options.label || '',
+                    fontSize: (options.font && options.font.size) || 12
+                };
+            });
+
+        const nodeById = {};
+        nodes.forEach(node => {
+            nodeById[node.id] = node;
+        });
+
+        const edges = body.edgeIndices
+            .map(id => body.edges[id])
+            .filter(edge => edge && edge.connected && !edge.options.hidden &&
+                nodeById[edge.fromId] && nodeById[edge.toId])
+            .map(edge => {
+                const options = edge.options;
+                const color = options.color || {};
+                return {
+                    from: nodeById[edge.fromId],
+                    to: nodeById[edge.toId],
+                    color: color.color || '#848484',
+                    width: options.width || 1,
+                    dashes: !!options.dashes,
+                    arrow: !!(options.arrows && options.arrows.to && options.arrows.to.enabled),
+                    label: options.label || ''
+                };
+            });
+
+        const bounds = { left: 0, top: 0, right: 0, bottom: 0 };
+        if (nodes.length > 0) {
+            // Labels are usually wider than the node itself
+            const halfWidth = node => Math.max(node.size, String(node.label).length * node.fontSize * 0.3);
+            bounds.left = Math.min(...nodes.map(node => node.x - halfWidth(node)));
+            bounds.right = Math.max(...nodes.map(node => node.x + halfWidth(node)));
+            bounds.top = Math.min(...nodes.map(node => node.y - node.size));
+            // Leave room for the label drawn under each node
+            bounds.bottom = Math.max(...nodes.map(node => node.y + node.size + node.fontSize + 4));
+        }
+
+        return { nodes: nodes, edges: edges, bounds: bounds };
+    },
+
+    /**
+     * Default legend: one entry per distinct node colour, named after the vis group when there is one
+     */
+    deriveLegend: function (network) {
+        const entries = {};
+        network.body.nodeIndices.forEach(id => {
+            const node = network.body.nodes[id];
+            const color = node && node.options.color && node.options.color.background;
+            if (color && !entries[color]) {
+                entries[color] = { color: color, label: node.options.group || 'Entity' };
+            }
+        });
+        return Object.values(entries);
+    },
+
+    /**
+     * Render the full graph as a standalone SVG document
+     * @param {Object} network - vis.Network instance
+     * @param {Object} options - { title, analystName, timestamp, legend: [{ color, label }], scale }
+     * @returns {string} SVG markup
+     */
+    toSvg: function (network, options) {
+        const config = this.getConfig(network, options);
+        const scene = this.buildScene(network);
+        const margin = 40;
+        const headerHeight = 70;
+        const legendHeight = config.legend.length > 0 ? 30 : 0;
+
+        const graphWidth = scene.bounds.right - scene.bounds.left;
+        const graphHeight = scene.bounds.bottom - scene.bounds.top;
+        const width = Math.max(graphWidth + margin * 2, 400);
+        const height = graphHeight + margin * 2 + headerHeight + legendHeight;
+        const offsetX = margin - scene.bounds.left + (width - margin * 2 - graphWidth) / 2;
+        const offsetY = margin + headerHeight - scene.bounds.top;
+
+        const esc = value => this.escapeXml(value);
+        const parts = [];
+
+        parts.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${width * config.scale}" height="${height * config.scale}" ` +
+            `viewBox="0 0 ${width} ${height}" font-family="Helvetica, Arial, sans-serif">`);
+        // One arrow marker per edge colour so heads match their lines
+        const markerColors = [...new Set(scene.edges.map(edge => edge.color))];
+        parts.push('<defs>' + markerColors.map((color, index) =>
+            `<marker id="arrow-${index}" viewBox="0 -5 10 10" refX="10" refY="0" markerWidth="6" markerHeight="6" ` +
+            `orient="auto" markerUnits="strokeWidth"><path d="M0,-5L10,0L0,5" fill="${esc(color)}"/></marker>`
+        ).join('') + '</defs>');
+        parts.push(`<rect width="${width}" height="${height}" fill="#ffffff"/>`);
+
+        // Header
+        parts.push(`<text x="${margin}" y="${margin}" font-size="20" font-weight="bold" fill="#111827">${esc(config.title)}</text>`);
+        parts.push(`<text x="${margin}" y="${margin + 22}" font-size="12" fill="#4b5563">${esc(this.getSubtitle(config))}</text>`);
+
+        // Legend
+        config.legend.forEach((entry, index) => {
+            const x = margin + index * 160;
+            const y = margin + 44;
+            parts.push(`<circle cx="${x + 6}" cy="${y - 4}" r="6" fill="${esc(entry.color)}"/>`);
+            parts.push(`<text x="${x + 18}" y="${y}" font-size="12" fill="#343a40">${esc(entry.label)}</text>`);
+        });
+
+        parts.push(`<g transform="translate(${offsetX} ${offsetY})">`);
+
+        scene.edges.forEach(edge => {
+            const line = this.trimEdge(edge);
+            parts.push(`<line x1="${line.x1}" y1="${line.y1}" x2="${line.x2}" y2="${line.y2}" stroke="${esc(edge.color)}" ` +
+                `stroke-width="${edge.width}"${edge.dashes ? ' stroke-dasharray="5 5"' : ''}${edge.arrow ? ` marker-end="url(#arrow-${markerColors.indexOf(edge.color)})"` : ''}/>`);
+            if (edge.label) {
+                parts.push(`<text x="${(line.x1 + line.x2) / 2}" y="${(line.y1 + line.y2) / 2 - 3}" font-size="10" ` +
+                    `text-anchor="middle" fill="#4b5563">${esc(edge.label)}</text>`);
+            }
+        });
+
+        scene.nodes.forEach(node => {
+            const style = `fill="${esc(node.background)}" stroke="${esc(node.border)}" stroke-width="${node.borderWidth}" opacity="${node.opacity}"`;
+            const points = this.getShapePoints(node);
+            if (points) {
+                parts.push(`<polygon points="${points.map(p => p.x + ',' + p.y).join(' ')}" ${style}/>`);
+            } else {
+                parts.push(`<circle cx="${node.x}" cy="${node.y}" r="${node.size}" ${style}/>`);
+            }
+            if (node.label) {
+                parts.push(`<text x="${node.x}" y="${node.y + node.size + node.fontSize}" font-size="${node.fontSize}" ` +
+                    `text-anchor="middle" fill="#343a40" opacity="${node.opacity}">${esc(node.label)}</text>`);
+            }
+        });
+
+        parts.push('</g></svg>');
+        return parts.join('\n');
+    },
+
+    /**
+     * Render the full graph as a PDF: an overview page with title, legend and metadata,
+     * followed by tiled detail pages at readable scale when the graph does not fit on one page
+     * @param {Object} network - vis.Network instance
+     * @param {Object} options - { title, analystName, timestamp, legend, pageSize: 'A4' | 'A3', detailScale }
+     * @returns {Uint8Array} PDF bytes
+     */
+    toPdf: function (network, options) {
+        const config = this.getConfig(network, options);
+        const scene = this.buildScene(network);
+        const page = this.pageSizes[config.pageSize] || this.pageSizes.A4;
+        const margin = 36;
+        const headerHeight = 64;
+
+        const area = {
+            x: margin,
+            y: margin + headerHeight,
+            width: page.width - margin * 2,
+            height: page.height - margin * 2 - headerHeight - 24
+        };
+
+        const graphWidth = Math.max(scene.bounds.right - scene.bounds.left, 1);
+        const graphHeight = Math.max(scene.bounds.bottom - scene.bounds.top, 1);
+        const fitScale = Math.min(area.width / graphWidth, area.height / graphHeight, 1);
+
+        // Overview page
+        const pages = [];
+        pages.push(this.pdfHeader(config, page, margin, 1) +
+            this.pdfLegend(config.legend, margin, page.height - margin - 52) +
+            this.pdfGraph(scene, area, fitScale, scene.bounds.left, scene.bounds.top, page.height));
+
+        // Detail tiles when the overview had to shrink the graph
+        const detailScale = config.detailScale;
+        if (fitScale < detailScale) {
+            const columns = Math.ceil(graphWidth * detailScale / area.width);
+            const rows = Math.ceil(graphHeight * detailScale / area.height);
+            for (let row = 0; row < rows; row++) {
+                for (let column = 0; column < columns; column++) {
+                    const tileLeft = scene.bounds.left + column * area.width / detailScale;
+                    const tileTop = scene.bounds.top + row * area.height / detailScale;
+                    pages.push(this.pdfHeader(config, page, margin, pages.length + 1, `Section ${row + 1}-${column + 1}`) +
+                        this.pdfGraph(scene, area, detailScale, tileLeft, tileTop, page.height));
+                }
+            }
+        }
+
+        // Page numbers need the final count
+        const contents = pages.map(content => content.replace('{{pageCount}}', pages.length));
+        return this.buildPdf(contents, page);
+    },
+
+    toPdfDataUrl: function (network, options) {
+        const bytes = this.toPdf(network, options);
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return 'data:application/pdf;base64,' + btoa(binary);
+    },
+
+    getConfig: function (network, options) {
+        return {
+            title: 'Relationship Graph',
+            analystName: '',
+            timestamp: new Date(),
+            legend: this.deriveLegend(network),
+            scale: 2,
+            pageSize: 'A4',
+            detailScale: 0.75,
+            ...options
+        };
+    },
+
+    getSubtitle: function (config) {
+        const generated = new Date(config.timestamp).toLocaleString();
+        return config.analystName ?
+            `Generated ${generated} by ${config.analystName}` :
+            `Generated ${generated}`;
+    },
+
+    trimEdge: function (edge) {
+        // Stop lines at the node outline so arrow heads stay visible
+        const dx = edge.to.x - edge.from.x;
+        const dy = edge.to.y - edge.from.y;
+        const length = Math.sqrt(dx * dx + dy * dy) || 1;
+        return {
+            x1: edge.from.x + dx / length * edge.from.size,
+            y1: edge.from.y + dy / length * edge.from.size,
+            x2: edge.to.x - dx / length * edge.to.size,
+            y2: edge.to.y - dy / length * edge.to.size
+        };
+    },
+
+    getShapePoints: function (node) {
+        const { x, y, size } = node;
+        switch (node.shape) {
+            case 'diamond':
+                return [{ x: x, y: y - size }, { x: x + size, y: y }, { x: x, y: y + size }, { x: x - size, y: y }];
+            case 'square':
+            case 'box':
+            case 'database':
+                return [{ x: x - size, y: y - size }, { x: x + size, y: y - size }, { x: x + size, y: y + size }, { x: x - size, y: y + size }];
+            case 'hexagon':
+                return [0, 1, 2, 3, 4, 5].map(i => ({
+                    x: x + size * Math.cos(Math.PI / 3 * i),
+                    y: y + size * Math.sin(Math.PI / 3 * i)
+                }));
+            case 'triangle':
+                return [{ x: x, y: y - size }, { x: x + size, y: y + size }, { x: x - size, y: y + size }];
+            default:
+                return null;
+        }
+    },
+
+    // PDF content stream helpers (points, origin bottom-left)
+
+    pdfHeader: function (config, page, margin, pageNumber, section) {
+        const top = page.height - margin;
+        let content = this.pdfText(config.title, margin, top - 18, 18, '#111827');
+        content += this.pdfText(this.getSubtitle(config), margin, top - 36, 10, '#4b5563');
+        content += this.pdfText(`Page ${pageNumber} of {{pageCount}}${section ? ' - ' + section : ''}`,
+            page.width - margin - 160, top - 18, 10, '#4b5563');
+        return content;
+    },
+
+    pdfLegend: function (legend, x, y) {
+        return legend.map((entry, index) => {
+            const entryX = x + index * 150;
+            return this.pdfCircle(entryX + 5, y + 4, 5, entry.color, null, 0) +
+                this.pdfText(entry.label, entryX + 15, y, 10, '#343a40');
+        }).join('');
+    },
+
+    pdfGraph: function (scene, area, scale, left, top, pageHeight) {
+        // Graph coordinates -> page coordinates, clipped to the drawing area
+        const toPage = (x, y) => ({
+            x: area.x + (x - left) * scale,
+            y: pageHeight - (area.y + (y - top) * scale)
+        });
+
+        let content = `q ${area.x} ${pageHeight - area.y - area.height} ${area.width} ${area.height} re W n\n`;
+
+        scene.edges.forEach(edge => {
+            const line = this.trimEdge(edge);
+            const from = toPage(line.x1, line.y1);
+            const to = toPage(line.x2, line.y2);
+            content += `${this.pdfColor(edge.color, true)} ${this.num(edge.width * scale)} w ${edge.dashes ? '[4 4] 0 d' : '[] 0 d'}\n`;
+            content += `${this.num(from.x)} ${this.num(from.y)} m ${this.num(to.x)} ${this.num(to.y)} l S\n`;
+
+            if (edge.arrow) {
+                const angle = Math.atan2(to.y - from.y, to.x - from.x);
+                const head = 8 * Math.max(scale, 0.4);
+                const leftWing = { x: to.x - head * Math.cos(angle - 0.4), y: to.y - head * Math.sin(angle - 0.4) };
+                const rightWing = { x: to.x - head * Math.cos(angle + 0.4), y: to.y - head * Math.sin(angle + 0.4) };
+                content += `${this.pdfColor(edge.color, false)} ${this.num(to.x)} ${this.num(to.y)} m ` +
+                    `${this.num(leftWing.x)} ${this.num(leftWing.y)} l ${this.num(rightWing.x)} ${this.num(rightWing.y)} l f\n`;
+            }
+
+            if (edge.label) {
+                const middle = toPage((line.x1 + line.x2) / 2, (line.y1 + line.y2) / 2);
+                content += this.pdfText(edge.label, middle.x, middle.y + 2, Math.max(8 * scale, 5), '#4b5563', true);
+            }
+        });
+
+        content += '[] 0 d\n';
+        scene.nodes.forEach(node => {
+            const centre = toPage(node.x, node.y);
+            const points = this.getShapePoints(node);
+            if (points) {
+                content += this.pdfPolygon(points.map(p => toPage(p.x, p.y)), node.background, node.border, node.borderWidth * scale);
+            } else {
+                content += this.pdfCircle(centre.x, centre.y, node.size * scale, node.background, node.border, node.borderWidth * scale);
+            }
+            if (node.label) {
+                const fontSize = Math.max(node.fontSize * scale, 5);
+                content += this.pdfText(node.label, centre.x, centre.y - node.size * scale - fontSize, fontSize, '#343a40', true);
+            }
+        });
+
+        return content + 'Q\n';
+    },
+
+    pdfCircle: function (x, y, r, fill, stroke, lineWidth) {
+        // Four Bezier arcs; k is the standard control-point distance for a quarter circle
+        const k = 0.5523 * r;
+        const n = value => this.num(value);
+        let content = `${this.pdfColor(fill, false)}${stroke ? ' ' + this.pdfColor(stroke, true) + ' ' + n(lineWidth) + ' w' : ''}\n`;
+        content += `${n(x + r)} ${n(y)} m `;
+        content += `${n(x + r)} ${n(y + k)} ${n(x + k)} ${n(y + r)} ${n(x)} ${n(y + r)} c `;
+        content += `${n(x - k)} ${n(y + r)} ${n(x - r)} ${n(y + k)} ${n(x - r)} ${n(y)} c `;
+        content += `${n(x - r)} ${n(y - k)} ${n(x - k)} ${n(y - r)} ${n(x)} ${n(y - r)} c `;
+        content += `${n(x + k)} ${n(y - r)} ${n(x + r)} ${n(y - k)} ${n(x + r)} ${n(y)} c ${stroke ? 'B' : 'f'}\n`;
+        return content;
+    },
+
+    pdfPolygon: function (points, fill, stroke, lineWidth) {
+        const n = value => this.num(value);
+        let content = `${this.pdfColor(fill, false)} ${this.pdfColor(stroke, true)} ${n(lineWidth)} w\n`;
+        content += points.map((p, i) => `${n(p.x)} ${n(p.y)} ${i === 0 ? 'm' : 'l'}`).join(' ');
+        return content + ' h B\n';
+    },
+
+    pdfText: function (text, x, y, size, color, centred) {
+        // Helvetica width is roughly half the font size per character; good enough to centre labels
+        const value = String(text);
+        const textX = centred ? x - value.length * size * 0.25 : x;
+        return `BT ${this.pdfColor(color, false)} /F1 ${this.num(size)} Tf ${this.num(textX)} ${this.num(y)} Td ` +
+            `(${this.escapePdfText(value)}) Tj ET\n`;
+    },
+
+    pdfColor: function (color, stroke) {
+        const rgb = this.parseColor(color);
+        return `${this.num(rgb.r / 255)} ${this.num(rgb.g / 255)} ${this.num(rgb.b / 255)} ${stroke ? 'RG' : 'rg'}`;
+    },
+
+    buildPdf: function (contents, page) {
+        // Object 1: catalog, 2: page tree, 3: font, then a page and a content stream per page
+        const objects = [];
+        const pageIds = contents.map((content, index) => 4 + index * 2);
+
+        objects.push('<< /Type /Catalog /Pages 2 0 R >>');
+        objects.push(`<< /Type /Pages /Kids [${pageIds.map(id => id + ' 0 R').join(' ')}] /Count ${contents.length} >>`);
+        objects.push('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+
+        contents.forEach((content, index) => {
+            objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${page.width} ${page.height}] ` +
+                `/Resources << /Font << /F1 3 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`);
+            objects.push(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+        });
+
+        let pdf = '%PDF-1.4\n';
+        const offsets = [];
+        objects.forEach((object, index) => {
+            offsets.push(pdf.length);
+            pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+        });
+
+        const xrefOffset = pdf.length;
+        pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        offsets.forEach(offset => {
+            pdf += `${String(offset).padStart(10, '0')} 00000 n \n`;
+        });
+        pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF`;
+
+        // Every character is a single Latin-1 byte (see escapePdfText), so offsets match byte positions
+        const bytes = new Uint8Array(pdf.length);
+        for (let i = 0; i < pdf.length; i++) {
+            bytes[i] = pdf.charCodeAt(i) & 0xff;
+        }
+        return bytes;
+    },
+
+    escapePdfText: function (text) {
+        // Standard fonts only cover Latin-1; anything else is replaced rather than corrupting the file
+        return String(text)
+            .replace(/[^\x20-\xff]/g, '?')
+            .replace(/\\/g, '\\\\')
+            .replace(/\(/g, '\\(')
+            .replace(/\)/g, '\\)');
+    },
+
+    escapeXml: function (value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    },
+
+    parseColor: function (color) {
+        const value = (color || '').toString().trim();
+        let match = value.match(/^#([0-9a-f]{6})$/i);
+        if (match) {
+            const hex = parseInt(match[1], 16);
+            return { r: (hex >> 16) & 255, g: (hex >> 8) & 255, b: hex & 255 };
+        }
+
+        match = value.match(/^#([0-9a-f]{3})$/i);
+        if (match) {
+            const [r, g, b] = match[1].split('').map(c => parseInt(c + c, 16));
+            return { r: r, g: g, b: b };
+        }
+
+        match = value.match(/^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/i);
+        if (match) {
+            return { r: Number(match[1]), g: Number(match[2]), b: Number(match[3]) };
+        }
+
+        return { r: 132, g: 132, b: 132 };
+    },
+
+    num: function (value) {
+        return (Math.round(value * 100) / 100).toString();
+    }
+};
@@ -0,0 +1,453 @@
+// Standard graph file formats for the vis.js graph modules
+// Converts between a plain graph ({ directed, nodes: [{ id, label, ... }], edges: [{ id, from, to, label, ... }] })
+// and GraphML, GEXF, CSV node/edge lists and JSON Graph Format, so networks can move to and from
+// Gephi and similar investigation tools. Only scalar attributes (string, number, boolean) are carried.
+
+window.graphFormats = {
+    formats: ['graphml', 'gexf', 'csv', 'jgf'],
+
+    /**
+     * Serialize a plain graph
+     * @param {string} format - 'graphml' | 'gexf' | 'csv' | 'jgf'
+     * @param {Object} graph - { directed, nodes, edges }
+     * @returns {string|Object} Document text; for 'csv' an object { nodes, edges } with one CSV text each
+     */
+    serialize: function (format, graph) {
+        switch ((format || '').toLowerCase()) {
+            case 'graphml':
+                return this.toGraphML(graph);
+            case 'gexf':
+                return this.toGexf(graph);
+            case 'csv':
+                return this.toCsv(graph);
+            case 'jgf':
+            case 'json':
+                return this.toJsonGraph(graph);
+            default:
+                throw new Error(`Unsupported graph format: ${format}`);
+        }
+    },
+
+    /**
+     * Parse a graph document into a plain graph
+     * @param {string} format - 'graphml' | 'gexf' | 'csv' | 'jgf'
+     * @param {string|Object} content - Document text; for 'csv' an object { nodes, edges }
+     * @returns {Object} { directed, nodes, edges }
+     */
+    parse: function (format, content) {
+        switch ((format || '').toLowerCase()) {
+            case 'graphml':
+                return this.fromGraphML(content);
+            case 'gexf':
+                return this.fromGexf(content);
+            case 'csv':
+                return this.fromCsv(content.nodes, content.edges);
+            case 'jgf':
+            case 'json':
+                return this.fromJsonGraph(content);
+            default:
+                throw new Error(`Unsupported graph format: ${format}`);
+        }
+    },
+
+    // GraphML
+
+    toGraphML: function (graph) {
+        const nodeKeys = this.collectAttributes(graph.nodes, ['id']);
+        const edgeKeys = this.collectAttributes(graph.edges, ['id', 'from', 'to']);
+        const esc = value => this.escapeXml(value);
+
+        const lines = ['<?xml version="1.0" encoding="UTF-8"?>',
+            '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">'];
+
+        nodeKeys.forEach(key => {
+            lines.push(`  <key id="n_${esc(key.name)}" for="node" attr.name="${esc(key.name)}" attr.type="${this.toGraphMLType(key.type)}"/>`);
+        });
+        edgeKeys.forEach(key => {
+            lines.push(`  <key id="e_${esc(key.name)}" for="edge" attr.name="${esc(key.name)}" attr.type="${this.toGraphMLType(key.type)}"/>`);
+        });
+
+        lines.push(`  <graph id="G" edgedefault="${graph.directed === false ? 'undirected' : 'directed'}">`);
+
+        graph.nodes.forEach(node => {
+            lines.push(`    <node id="${esc(node.id)}">` + nodeKeys
+                .filter(key => this.isScalar(node[key.name]))
+                .map(key => `<data key="n_${esc(key.name)}">${esc(node[key.name])}</data>`)
+                .join('') + '</node>');
+        });
+
+        graph.edges.forEach((edge, index) => {
+            lines.push(`    <edge id="${esc(edge.id != null ? edge.id : 'e' + index)}" source="${esc(edge.from)}" target="${esc(edge.to)}">` + edgeKeys
+                .filter(key => this.isScalar(edge[key.name]))
+                .map(key => `<data key="e_${esc(key.name)}">${esc(edge[key.name])}</data>`)
+                .join('') + '</edge>');
+        });
+
+        lines.push('  </graph>', '</graphml>');
+        return lines.join('\n');
+    },
+
+    fromGraphML: function (text) {
+        const doc = this.parseXml(text);
+
+        const keys = {};
+        this.elements(doc, 'key').forEach(key => {
+            keys[key.getAttribute('id')] = {
+                name: key.getAttribute('attr.name') || key.getAttribute('id'),
+                type: key.getAttribute('attr.type') || 'string'
+            };
+        });
+
+        const readData = (element, item) => {
+            this.elements(element, 'data').forEach(data => {
+                const key = keys[data.getAttribute('key')];
+                if (key) {
+                    item[key.name] = this.convertValue(data.textContent, key.type);
+                }
+            });
+            return item;
+        };
+
+        const graphElement = this.elements(doc, 'graph')[0];
+        return {
+            directed: !graphElement || graphElement.getAttribute('edgedefault') !== 'undirected',
+            nodes: this.elements(doc, 'node').map(node => readData(node, { id: node.getAttribute('id') })),
+            edges: this.elements(doc, 'edge').map(edge => readData(edge, {
+                id: edge.getAttribute('id') || undefined,
+                from: edge.getAttribute('source'),
+                to: edge.getAttribute('target')
+            }))
+        };
+    },
+
+    toGraphMLType: function (type) {
+        return { number: 'double', boolean: 'boolean' }[type] || 'string';
+    },
+
+    // GEXF 1.3
+
+    toGexf: function (graph) {
+        const nodeKeys = this.collectAttributes(graph.nodes, ['id', 'label']);
+        const edgeKeys = this.collectAttributes(graph.edges, ['id', 'from', 'to', 'label']);
+        const esc = value => this.escapeXml(value);
+        const gexfType = type => ({ number: 'double', boolean: 'boolean' }[type] || 'string');
+
+        const attValues = (item, itemKeys) => {
+            const values = itemKeys
+                .map((key, index) => ({ key: key, index: index }))
+                .filter(entry => this.isScalar(item[entry.key.name]))
+                .map(entry => `<attvalue for="${entry.index}" value="${esc(item[entry.key.name])}"/>`);
+            return values.length > 0 ? `<attvalues>${values.join('')}</attvalues>` : '';
+        };
+
+        const lines = ['<?xml version="1.0" encoding="UTF-8"?>',
+            '<gexf xmlns="http://gexf.net/1.3" version="1.3">',
+            `  <meta lastmodifieddate="${new Date().toISOString().slice(0, 10)}"><creator>Banking Admin</creator></meta>`,
+            `  <graph defaultedgetype="${graph.directed === false ? 'undirected' : 'directed'}" mode="static">`];
+
+        lines.push('    <attributes class="node">' + nodeKeys
+            .map((key, index) => `<attribute id="${index}" title="${esc(key.name)}" type="${gexfType(key.type)}"/>`)
+            .join('') + '</attributes>');
+        lines.push('    <attributes class="edge">' + edgeKeys
+            .map((key, index) => `<attribute id="${index}" title="${esc(key.name)}" type="${gexfType(key.type)}"/>`)
+            .join('') + '</attributes>');
+
+        lines.push('    <nodes>');
+        graph.nodes.forEach(node => {
+            lines.push(`      <node id="${esc(node.id)}" label="${esc(node.label !== undefined ? node.label : node.id)}">${attValues(node, nodeKeys)}</node>`);
+        });
+        lines.push('    </nodes>', '    <edges>');
+        graph.edges.forEach((edge, index) => {
+            const label = edge.label ? ` label="${esc(edge.label)}"` : '';
+            lines.push(`      <edge id="${esc(edge.id != null ? edge.id : index)}" source="${esc(edge.from)}" target="${esc(edge.to)}"${label}>${attValues(edge, edgeKeys)}</edge>`);
+        });
+        lines.push('    </edges>', '  </graph>', '</gexf>');
+
+        return lines.join('\n');
+    },
+
+    fromGexf: function (text) {
+        const doc = this.parseXml(text);
+
+        const attributes = { node: {}, edge: {} };
+        this.elements(doc, 'attributes').forEach(group => {
+            const target = attributes[group.getAttribute('class')];
+            if (!target) {
+                return;
+            }
+            this.elements(group, 'attribute').forEach(attribute => {
+                target[attribute.getAttribute('id')] = {
+                    name: attribute.getAttribute('title'),
+                    type: attribute.getAttribute('type') || 'string'
+                };
+            });
+        });
+
+        const readValues = (element, item, definitions) => {
+            this.elements(element, 'attvalue').forEach(value => {
+                const definition = definitions[value.getAttribute('for')];
+                if (definition) {
+                    item[definition.name] = this.convertValue(value.getAttribute('value'), definition.type);
+                }
+            });
+            return item;
+        };
+
+        const graphElement = this.elements(doc, 'graph')[0];
+        return {
+            directed: !graphElement || graphElement.getAttribute('defaultedgetype') !== 'undirected',
+            nodes: this.elements(doc, 'node').map(node => readValues(node, {
+                id: node.getAttribute('id'),
+                label: node.getAttribute('label') || node.getAttribute('id')
+            }, attributes.node)),
+            edges: this.elements(doc, 'edge').map(edge => {
+                const item = {
+                    id: edge.getAttribute('id') || undefined,
+                    from: edge.getAttribute('source'),
+                    to: edge.getAttribute('target')
+                };
+                if (edge.hasAttribute('label')) {
+                    item.label = edge.getAttribute('label');
+                }
+                return readValues(edge, item, attributes.edge);
+            })
+        };
+    },
+
+    // CSV node and edge lists (Gephi spreadsheet import layout: Id/Label and Source/Target columns)
+
+    toCsv: function (graph) {
+        const nodeKeys = this.collectAttributes(graph.nodes, ['id', 'label']).map(key => key.name);
+        const edgeKeys = this.collectAttributes(graph.edges, ['id', 'from', 'to', 'label']).map(key => key.name);
+
+        const nodeRows = [['Id', 'Label', ...nodeKeys]].concat(graph.nodes.map(node =>
+            [node.id, node.label, ...nodeKeys.map(key => node[key])]
+        ));
+        const edgeRows = [['Source', 'Target', 'Id', 'Label', ...edgeKeys]].concat(graph.edges.map(edge =>
+            [edge.from, edge.to, edge.id, edge.label, ...edgeKeys.map(key => edge[key])]
+        ));
+
+        const toText = rows => rows.map(row => row.map(value => this.escapeCsv(value)).join(',')).join('\r\n');
+        return { nodes: toText(nodeRows), edges: toText(edgeRows) };
+    },
+
+    fromCsv: function (nodesText, edgesText) {
+        const toItems = (text, columnMap) => {
+            const rows = this.parseCsv(text || '');
+            if (rows.length === 0) {
+                return [];
+            }
+
+            const header = rows[0].map(name => columnMap[name.trim().toLowerCase()] || name.trim());
+            return rows.slice(1)
+                .filter(row => row.some(value => value !== ''))
+                .map(row => {
+                    const item = {};
+                    header.forEach((name, index) => {
+                        const value = row[index];
+                        if (value === undefined || value === '') {
+                            return;
+                        }
+                        // Identifiers stay strings; other cells get their natural type back
+                        item[name] = ['id', 'from', 'to', 'label'].includes(name) ? value : this.convertValue(value, 'auto');
+                    });
+                    return item;
+                });
+        };
+
+        return {
+            directed: true,
+            nodes: toItems(nodesText, { id: 'id', label: 'label' }),
+            edges: toItems(edgesText, { source: 'from', target: 'to', id: 'id', label: 'label' })
+        };
+    },
+
+    escapeCsv: function (value) {
+        if (value === undefined || value === null) {
+            return '';
+        }
+
+        let text = String(value);
+        // Neutralise spreadsheet formulas coming from user-entered names
+        if (/^[=+@\t\r]/.test(text) || /^-[^0-9.]/.test(text)) {
+            text = "'" + text;
+        }
+
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    },
+
+    parseCsv: function (text) {
+        // Excel saves UTF-8 CSV with a byte order mark, which would otherwise stick to the first header
+        if (text.charCodeAt(0) === 0xFEFF) {
+            text = text.slice(1);
+        }
+
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') {
+                    i++;
+                }
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        // Undo the formula guard added by escapeCsv
+        return rows.map(cells => cells.map(cell => /^'([=+@\t\r]|-[^0-9.])/.test(cell) ? cell.slice(1) : cell));
+    },
+
+    // JSON Graph Format (v2 on export; v1 and v2 on import)
+
+    toJsonGraph: function (graph) {
+        const nodes = {};
+        graph.nodes.forEach(node => {
+            const { id, label, ...metadata } = node;
+            nodes[id] = { label: label, metadata: this.scalarsOnly(metadata) };
+        });
+
+        return JSON.stringify({
+            graph: {
+                directed: graph.directed !== false,
+                nodes: nodes,
+                edges: graph.edges.map(edge => {
+                    const { id, from, to, label, ...metadata } = edge;
+                    return {
+                        id: id,
+                        source: from,
+                        target: to,
+                        label: label,
+                        metadata: this.scalarsOnly(metadata)
+                    };
+                })
+            }
+        }, null, 2);
+    },
+
+    fromJsonGraph: function (text) {
+        const json = typeof text === 'string' ? JSON.parse(text) : text;
+        const graph = json.graph || (json.graphs && json.graphs[0]);
+        if (!graph) {
+            throw new Error('No graph found in JSON Graph document');
+        }
+
+        // v2 keys nodes by id, v1 uses an array with an id property
+        const nodes = Array.isArray(graph.nodes) ?
+            graph.nodes.map(node => ({ ...node.metadata, id: node.id, label: node.label })) :
+            Object.keys(graph.nodes || {}).map(id => ({ ...graph.nodes[id].metadata, id: id, label: graph.nodes[id].label }));
+
+        return {
+            directed: graph.directed !== false,
+            nodes: nodes,
+            edges: (graph.edges || []).map(edge => ({
+                ...edge.metadata,
+                id: edge.id,
+                from: edge.source,
+                to: edge.target,
+                label: edge.label !== undefined ? edge.label : edge.relation
+            }))
+        };
+    },
+
+    // Helpers
+
+    collectAttributes: function (items, excluded) {
+        // Attribute name and type, taken from the first item that has a scalar value for it
+        const attributes = new Map();
+        items.forEach(item => {
+            Object.keys(item).forEach(name => {
+                if (excluded.includes(name) || attributes.has(name) || !this.isScalar(item[name])) {
+                    return;
+                }
+                attributes.set(name, typeof item[name]);
+            });
+        });
+        return [...attributes].map(([name, type]) => ({ name: name, type: type }));
+    },
+
+    scalarsOnly: function (item) {
+        const result = {};
+        Object.keys(item).forEach(name => {
+            if (this.isScalar(item[name])) {
+                result[name] = item[name];
+            }
+        });
+        return result;
+    },
+
+    isScalar: function (value) {
+        return typeof value === 'string' || typeof value === 'boolean' ||
+            (typeof value === 'number' && isFinite(value));
+    },
+
+    convertValue: function (value, type) {
+        switch (type) {
+            case 'boolean':
+                return value === 'true' || value === '1';
+            case 'int':
+            case 'long':
+            case 'integer':
+            case 'float':
+            case 'double':
+                return Number(value);
+            case 'auto':
+                if (value === 'true' || value === 'false') {
+                    return value === 'true';
+                }
+                // Leading zeros mean an identifier (account or registration number), not a number
+                return /^-?(0|[1-9]\d*)(\.\d+)?$/.test(value) ? Number(value) : value;
+            default:
+                return value;
+        }
+    },
+
+    parseXml: function (text) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('Invalid XML document');
+        }
+        return doc;
+    },
+
+    elements: function (parent, localName) {
+        // Namespace-agnostic so GraphML/GEXF from any tool version is accepted
+        return Array.from(parent.getElementsByTagNameNS('*', localName));
+    },
+
+    escapeXml: function (value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+};
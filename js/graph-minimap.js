@@ -0,0 +1,226 @@
+// Overview navigator for the vis.js graph modules
+// Draws the whole graph in a small panel over a corner of the graph, with a rectangle for the part
+// currently in view. Dragging or clicking in the panel pans the main graph, the mouse wheel zooms it,
+// and the panel follows every zoom and pan of the main graph. Requires graph-export.js for the scene.
+
+window.graphMiniMap = {
+    defaultOptions: {
+        position: 'bottomright',
+        width: 180,
+        height: 130,
+        padding: 8,
+        collapsed: false,
+        viewportColor: '#3b82f6',
+        viewportFill: 'rgba(59, 130, 246, 0.1)',
+        strings: { hideText: 'Hide overview', showText: 'Show overview' }
+    },
+
+    /**
+     * Attach an overview panel to a graph
+     * @param {Object} network - vis.Network
+     * @param {HTMLElement} container - The graph container
+     * @param {Object} options - { position: 'bottomright' | 'bottomleft' | 'topright' | 'topleft', width, height,
+     *   collapsed, viewportColor, viewportFill, strings: { hideText, showText } }
+     * @returns {Object} { refresh, setCollapsed, detach }
+     */
+    attach: function (network, container, options) {
+        const config = {
+            ...this.defaultOptions,
+            ...options,
+            strings: { ...this.defaultOptions.strings, ...(options && options.strings) }
+        };
+
+        if (getComputedStyle(container).position === 'static') {
+            container.style.position = 'relative';
+        }
+
+        const vertical = config.position.startsWith('top') ? 'top' : 'bottom';
+        const horizontal = config.position.endsWith('left') ? 'left' : 'right';
+
+        const panel = document.createElement('div');
+        panel.className = 'graph-minimap';
+        panel.setAttribute('role', 'region');
+        panel.setAttribute('aria-label', 'Graph overview');
+        panel.style.cssText = `position: absolute; ${vertical}: 8px; ${horizontal}: 8px; z-index: 12; ` +
+            'background: rgba(255, 255, 255, 0.95); border: 1px solid #dee2e6; border-radius: 4px; ' +
+            'box-shadow: 0 2px 6px rgba(0, 0, 0, 0.1); overflow: hidden; user-select: none;';
+
+        const canvas = document.createElement('canvas');
+        canvas.style.cssText = `display: block; width: ${config.width}px; height: ${config.height}px; cursor: crosshair;`;
+        const ratio = window.devicePixelRatio || 1;
+        canvas.width = config.width * ratio;
+        canvas.height = config.height * ratio;
+
+        const viewport = document.createElement('div');
+        viewport.className = 'graph-minimap-viewport';
+        viewport.style.cssText = `position: absolute; box-sizing: border-box; cursor: move; border: 2px solid ${config.viewportColor}; ` +
+            `background: ${config.viewportFill};`;
+
+        const toggle = document.createElement('button');
+        toggle.type = 'button';
+        toggle.className = 'graph-minimap-toggle';
+        toggle.style.cssText = `position: absolute; ${vertical}: 2px; ${horizontal}: 2px; z-index: 1; width: 18px; height: 18px; ` +
+            'padding: 0; border: 1px solid #dee2e6; border-radius: 3px; background: #ffffff; font-size: 11px; line-height: 1; cursor: pointer;';
+
+        panel.appendChild(canvas);
+        panel.appendChild(viewport);
+        panel.appendChild(toggle);
+        container.appendChild(panel);
+
+        let transform = null;
+        let frame = null;
+        let drag = null;
+        let collapsed = false;
+
+        const render = () => {
+            frame = null;
+            if (collapsed) return;
+
+            const scene = window.graphExport.buildScene(network);
+            transform = this.getTransform(scene.bounds, config);
+            this.drawScene(canvas.getContext('2d'), scene, transform, config, ratio);
+            this.placeViewport(viewport, network, container, transform, config);
+        };
+
+        const refresh = () => {
+            if (frame === null) {
+                frame = requestAnimationFrame(render);
+            }
+        };
+
+        const setCollapsed = (value) => {
+            collapsed = !!value;
+            canvas.style.display = collapsed ? 'none' : 'block';
+            viewport.style.display = collapsed ? 'none' : 'block';
+            panel.style.width = collapsed ? '22px' : '';
+            panel.style.height = collapsed ? '22px' : '';
+            toggle.textContent = collapsed ? '+' : '\u2212';
+            toggle.title = collapsed ? config.strings.showText : config.strings.hideText;
+            toggle.setAttribute('aria-label', toggle.title);
+            toggle.setAttribute('aria-expanded', collapsed ? 'false' : 'true');
+            if (!collapsed) refresh();
+        };
+
+        // Panel coordinates -> graph canvas coordinates
+        const toGraph = (event) => {
+            const rect = canvas.getBoundingClientRect();
+            const x = event.clientX - rect.left;
+            const y = event.clientY - rect.top;
+            return { x: (x - transform.offsetX) / transform.scale, y: (y - transform.offsetY) / transform.scale };
+        };
+
+        const onMouseDown = (event) => {
+            if (event.button !== 0 || !transform || event.target === toggle) return;
+            event.preventDefault();
+            event.stopPropagation();
+
+            const point = toGraph(event);
+            const center = network.getViewPosition();
+            if (event.target === viewport) {
+                // Keep the grab point under the pointer
+                drag = { dx: center.x - point.x, dy: center.y - point.y };
+            } else {
+                drag = { dx: 0, dy: 0 };
+                network.moveTo({ position: point, scale: network.getScale() });
+            }
+        };
+
+        const onMouseMove = (event) => {
+            if (!drag) return;
+            const point = toGraph(event);
+            network.moveTo({ position: { x: point.x + drag.dx, y: point.y + drag.dy }, scale: network.getScale() });
+        };
+
+        const onMouseUp = () => {
+            drag = null;
+        };
+
+        const onWheel = (event) => {
+            if (!transform) return;
+            event.preventDefault();
+            const factor = event.deltaY < 0 ? 1.2 : 1 / 1.2;
+            network.moveTo({ scale: network.getScale() * factor });
+        };
+
+        const onToggle = () => setCollapsed(!collapsed);
+
+        panel.addEventListener('mousedown', onMouseDown);
+        panel.addEventListener('wheel', onWheel, { passive: false });
+        document.addEventListener('mousemove', onMouseMove);
+        document.addEventListener('mouseup', onMouseUp);
+        toggle.addEventListener('click', onToggle);
+        network.on('afterDrawing', refresh);
+
+        setCollapsed(config.collapsed);
+        refresh();
+
+        return {
+            refresh: refresh,
+            setCollapsed: setCollapsed,
+            detach: () => {
+                if (frame !== null) cancelAnimationFrame(frame);
+                network.off('afterDrawing', refresh);
+                document.removeEventListener('mousemove', onMouseMove);
+                document.removeEventListener('mouseup', onMouseUp);
+                panel.remove();
+            }
+        };
+    },
+
+    // Fit the graph bounds into the panel, centred
+    getTransform: function (bounds, config) {
+        const width = Math.max(bounds.right - bounds.left, 1);
+        const height = Math.max(bounds.bottom - bounds.top, 1);
+        const scale = Math.min((config.width - 2 * config.padding) / width, (config.height - 2 * config.padding) / height);
+
+        return {
+            scale: scale,
+            offsetX: (config.width - width * scale) / 2 - bounds.left * scale,
+            offsetY: (config.height - height * scale) / 2 - bounds.top * scale
+        };
+    },
+
+    drawScene: function (ctx, scene, transform, config, ratio) {
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, config.width, config.height);
+
+        const x = value => value * transform.scale + transform.offsetX;
+        const y = value => value * transform.scale + transform.offsetY;
+
+        ctx.globalAlpha = 0.5;
+        ctx.lineWidth = 0.5;
+        scene.edges.forEach(edge => {
+            ctx.strokeStyle = edge.color;
+            ctx.beginPath();
+            ctx.moveTo(x(edge.from.x), y(edge.from.y));
+            ctx.lineTo(x(edge.to.x), y(edge.to.y));
+            ctx.stroke();
+        });
+
+        scene.nodes.forEach(node => {
+            ctx.globalAlpha = node.opacity;
+            ctx.fillStyle = node.background;
+            ctx.beginPath();
+            ctx.arc(x(node.x), y(node.y), Math.max(node.size * transform.scale, 1.5), 0, 2 * Math.PI);
+            ctx.fill();
+        });
+
+        ctx.globalAlpha = 1;
+    },
+
+    // The rectangle covers what the main graph shows, clipped to the panel
+    placeViewport: function (viewport, network, container, transform, config) {
+        const topLeft = network.DOMtoCanvas({ x: 0, y: 0 });
+        const bottomRight = network.DOMtoCanvas({ x: container.clientWidth, y: container.clientHeight });
+
+        const left = Math.max(topLeft.x * transform.scale + transform.offsetX, 0);
+        const top = Math.max(topLeft.y * transform.scale + transform.offsetY, 0);
+        const right = Math.min(bottomRight.x * transform.scale + transform.offsetX, config.width);
+        const bottom = Math.min(bottomRight.y * transform.scale + transform.offsetY, config.height);
+
+        viewport.style.left = left + 'px';
+        viewport.style.top = top + 'px';
+        viewport.style.width = Math.max(right - left, 4) + 'px';
+        viewport.style.height = Math.max(bottom - top, 4) + 'px';
+    }
+};
\ No newline at end of file
@@ -0,0 +1,448 @@
+// Node search for the vis.js graph modules
+// Indexes node attributes (label, id, registration and account numbers, ...), ranks matches as
+// exact, prefix, word, substring and finally fuzzy (edit distance) name matches, and pulses the
+// node a user picks. Identifiers are compared without spaces or punctuation, names without accents.
+
+window.graphSearch = {
+    // Attribute -> weight; read from the vis node and from its original payload (node.properties)
+    defaultFields: {
+        label: 1,
+        name: 1,
+        fullName: 1,
+        id: 0.9,
+        customerNumber: 0.9,
+        registrationNumber: 0.9,
+        accountNumber: 0.9,
+        accountNumbers: 0.9,
+        nationalId: 0.9,
+        taxId: 0.9,
+        email: 0.8,
+        phone: 0.8
+    },
+
+    identifierFields: ['id', 'customerNumber', 'registrationNumber', 'accountNumber', 'accountNumbers', 'nationalId', 'taxId', 'phone'],
+
+    pulses: new WeakMap(),
+
+    /**
+     * Build a search index over vis nodes
+     * @param {Array} nodes - vis node items
+     * @param {Object} options - { fields: { name: weight } | [names] } to replace the default fields
+     * @returns {Array} [{ nodeId, label, entries: [{ field, value, text, compact, tokens, weight, identifier }] }]
+     */
+    buildIndex: function (nodes, options) {
+        const fields = this.getFields(options);
+
+        return nodes.map(node => {
+            const sources = [node, node.properties || {}];
+            const entries = [];
+            const seen = new Set();
+
+            Object.entries(fields).forEach(([field, weight]) => {
+                sources.forEach(source => {
+                    const values = Array.isArray(source[field]) ? source[field] : [source[field]];
+                    values.forEach(value => {
+                        if ((typeof value !== 'string' && typeof value !== 'number') || value === '') return;
+
+                        const key = field + '\u0000' + value;
+                        if (seen.has(key)) return;
+                        seen.add(key);
+
+                        const text = this.normalize(value);
+                        entries.push({
+                            field: field,
+                            value: String(value),
+                            text: text,
+                            compact: this.compact(text),
+                            tokens: this.tokenize(text),
+                            weight: weight,
+                            identifier: this.identifierFields.includes(field)
+                        });
+                    });
+                });
+            });
+
+            return { nodeId: node.id, label: node.label, entries: entries };
+        });
+    },
+
+    /**
+     * Rank indexed nodes against a query
+     * @param {Array} index - From buildIndex
+     * @param {string} query - Name, id, registration or account number
+     * @param {Object} options - { limit: 10, fuzzy: true, minScore: 0.3 }
+     * @returns {Array} [{ nodeId, label, score, field, value, matchType }] best first
+     */
+    search: function (index, query, options) {
+        const settings = { limit: 10, fuzzy: true, minScore: 0.3, ...options };
+        const text = this.normalize(query);
+        if (!text) {
+            return [];
+        }
+
+        const parsed = { text: text, compact: this.compact(text), tokens: this.tokenize(text) };
+        const matches = [];
+
+        index.forEach(item => {
+            let best = null;
+            item.entries.forEach(entry => {
+                const match = this.scoreEntry(parsed, entry, settings.fuzzy);
+                if (match && (!best || match.score * entry.weight > best.score)) {
+                    best = {
+                        nodeId: item.nodeId,
+                        label: item.label,
+                        score: Math.round(match.score * entry.weight * 1000) / 1000,
+                        field: entry.field,
+                        value: entry.value,
+                        matchType: match.type
+                    };
+                }
+            });
+
+            if (best && best.score >= settings.minScore) {
+                matches.push(best);
+            }
+        });
+
+        matches.sort((a, b) =>
+            (b.score - a.score) ||
+            (String(a.label || '').length - String(b.label || '').length) ||
+            String(a.label || '').localeCompare(String(b.label || '')));
+
+        return settings.limit > 0 ? matches.slice(0, settings.limit) : matches;
+    },
+
+    getFields: function (options) {
+        const fields = options && options.fields;
+        if (Array.isArray(fields)) {
+            const weights = {};
+            fields.forEach(field => {
+                weights[field] = this.defaultFields[field] || 1;
+            });
+            return weights;
+        }
+
+        return fields || this.defaultFields;
+    },
+
+    scoreEntry: function (query, entry, fuzzy) {
+        const compactMatch = entry.identifier && query.compact.length > 0;
+
+        if (entry.text === query.text || (compactMatch && entry.compact === query.compact)) {
+            return { score: 1, type: 'exact' };
+        }
+
+        if (entry.text.startsWith(query.text) || (compactMatch && entry.compact.startsWith(query.compact))) {
+            return { score: 0.9, type: 'prefix' };
+        }
+
+        if (query.tokens.every(token => entry.tokens.some(word => word.startsWith(token)))) {
+            return { score: 0.8, type: 'word' };
+        }
+
+        if (entry.text.includes(query.text) || (compactMatch && query.compact.length >= 3 && entry.compact.includes(query.compact))) {
+            return { score: 0.7, type: 'contains' };
+        }
+
+        // Typos only make sense for names; a mistyped identifier is a different identifier
+        if (!fuzzy || entry.identifier) {
+            return null;
+        }
+
+        let total = 0;
+        for (const token of query.tokens) {
+            const similarity = this.tokenSimilarity(token, entry.tokens);
+            if (similarity === 0) {
+                return null;
+            }
+            total += similarity;
+        }
+
+        return { score: 0.6 * total / query.tokens.length, type: 'fuzzy' };
+    },
+
+    // Best similarity of a query token to any word, also against word prefixes while the user is still typing
+    tokenSimilarity: function (token, words) {
+        const allowed = token.length <= 2 ? 0 : token.length <= 4 ? 1 : token.length <= 8 ? 2 : 3;
+        let best = 0;
+
+        words.forEach(word => {
+            const candidates = token.length >= 3 && word.length > token.length ? [word, word.slice(0, token.length)] : [word];
+            candidates.forEach(candidate => {
+                const distance = this.editDistance(token, candidate);
+                if (distance <= allowed) {
+                    best = Math.max(best, 1 - distance / Math.max(token.length, candidate.length));
+                }
+            });
+        });
+
+        return best;
+    },
+
+    // Levenshtein distance counting an adjacent transposition ("jonh" / "john") as one edit
+    editDistance: function (a, b) {
+        const rows = [];
+        for (let i = 0; i <= a.length; i++) {
+            rows[i] = [i];
+        }
+        for (let j = 1; j <= b.length; j++) {
+            rows[0][j] = j;
+        }
+
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+                }
+            }
+        }
+
+        return rows[a.length][b.length];
+    },
+
+    normalize: function (value) {
+        return String(value === undefined || value === null ? '' : value)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/\s+/g, ' ')
+            .trim();
+    },
+
+    compact: function (text) {
+        return text.replace(/[^a-z0-9]/g, '');
+    },
+
+    tokenize: function (text) {
+        return text.split(/[^a-z0-9]+/).filter(token => token);
+    },
+
+    /**
+     * Draw expanding rings around a node so it stands out after focusing
+     * @param {Object} network - vis.Network
+     * @param {string|number} nodeId - Node to pulse
+     * @param {Object} options - { color: '#f59e0b', duration: 1500, pulses: 3 }
+     */
+    pulse: function (network, nodeId, options) {
+        const settings = { color: '#f59e0b', duration: 1500, pulses: 3, ...options };
+        const rgb = this.hexToRgb(settings.color);
+
+        const previous = this.pulses.get(network);
+        if (previous) {
+            previous();
+        }
+
+        const start = performance.now();
+        let stopped = false;
+
+        const draw = (ctx) => {
+            const progress = (performance.now() - start) / settings.duration;
+            const position = network.getPositions([nodeId])[nodeId];
+            if (progress >= 1 || !position) {
+                return;
+            }
+
+            const box = network.getBoundingBox(nodeId);
+            const radius = box ? Math.max(box.right - box.left, box.bottom - box.top) / 2 : 20;
+            const phase = (progress * settings.pulses) % 1;
+
+            ctx.save();
+            ctx.beginPath();
+            ctx.arc(position.x, position.y, radius + phase * radius * 1.5, 0, 2 * Math.PI);
+            ctx.strokeStyle = `rgba(${rgb.r}, ${rgb.g}, ${rgb.b}, ${1 - phase})`;
+            ctx.lineWidth = 4 / network.getScale();
+            ctx.stroke();
+            ctx.restore();
+        };
+
+        const stop = () => {
+            if (stopped) return;
+            stopped = true;
+            network.off('afterDrawing', draw);
+            network.redraw();
+            this.pulses.delete(network);
+        };
+
+        const tick = () => {
+            if (stopped) {
+                return;
+            }
+            if (performance.now() - start < settings.duration) {
+                network.redraw();
+                requestAnimationFrame(tick);
+            } else {
+                stop();
+            }
+        };
+
+        this.pulses.set(network, stop);
+        network.on('afterDrawing', draw);
+        requestAnimationFrame(tick);
+    },
+
+    hexToRgb: function (hex) {
+        const value = String(hex).replace('#', '');
+        const full = value.length === 3 ? value.split('').map(c => c + c).join('') : value;
+        const number = parseInt(full, 16) || 0;
+        return { r: (number >> 16) & 255, g: (number >> 8) & 255, b: number & 255 };
+    },
+
+    // Autocomplete
+
+    /**
+     * Turn a text input into a search box with a suggestion list
+     * @param {HTMLInputElement} input - The input element
+     * @param {Function} searchFn - query => matches from search()
+     * @param {Function} onSelect - match => void, called when a suggestion is picked
+     * @param {Object} options - { debounceMs: 150, minLength: 1 }
+     * @returns {Object} { detach } to remove the listeners and the list
+     */
+    attachAutocomplete: function (input, searchFn, onSelect, options) {
+        const settings = { debounceMs: 150, minLength: 1, ...options };
+        const listId = (input.id || 'graph-search') + '-suggestions';
+
+        const list = document.createElement('ul');
+        list.id = listId;
+        list.className = 'graph-search-suggestions';
+        list.setAttribute('role', 'listbox');
+        list.style.cssText = 'position: fixed; z-index: 1050; display: none; margin: 0; padding: 4px 0; list-style: none; ' +
+            'max-height: 280px; overflow-y: auto; background: #ffffff; border: 1px solid #dee2e6; border-radius: 4px; ' +
+            'box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15); font-size: 13px;';
+        document.body.appendChild(list);
+
+        input.setAttribute('role', 'combobox');
+        input.setAttribute('aria-autocomplete', 'list');
+        input.setAttribute('aria-controls', listId);
+        input.setAttribute('aria-expanded', 'false');
+        input.setAttribute('autocomplete', 'off');
+
+        let matches = [];
+        let active = -1;
+        let timer = null;
+
+        const close = () => {
+            list.style.display = 'none';
+            input.setAttribute('aria-expanded', 'false');
+            input.removeAttribute('aria-activedescendant');
+            matches = [];
+            active = -1;
+        };
+
+        const choose = (index) => {
+            const match = matches[index];
+            if (!match) return;
+            input.value = match.label || match.value;
+            close();
+            onSelect(match);
+        };
+
+        const highlight = (index) => {
+            active = index;
+            [...list.children].forEach((item, position) => {
+                const selected = position === index;
+                item.setAttribute('aria-selected', selected ? 'true' : 'false');
+                item.style.background = selected ? '#e7f1ff' : 'none';
+                if (selected) {
+                    input.setAttribute('aria-activedescendant', item.id);
+                    item.scrollIntoView({ block: 'nearest' });
+                }
+            });
+        };
+
+        const render = () => {
+            list.innerHTML = '';
+            if (matches.length === 0) {
+                close();
+                return;
+            }
+
+            matches.forEach((match, index) => {
+                const item = document.createElement('li');
+                item.id = `${listId}-${index}`;
+                item.setAttribute('role', 'option');
+                item.style.cssText = 'padding: 6px 12px; cursor: pointer;';
+
+                const label = document.createElement('div');
+                label.textContent = match.label || match.value;
+                item.appendChild(label);
+
+                if (match.field !== 'label') {
+                    const detail = document.createElement('div');
+                    detail.style.cssText = 'font-size: 11px; color: #6b7280;';
+                    detail.textContent = `${match.field}: ${match.value}`;
+                    item.appendChild(detail);
+                }
+
+                // mousedown so the pick happens before the input loses focus
+                item.addEventListener('mousedown', event => {
+                    event.preventDefault();
+                    choose(index);
+                });
+                list.appendChild(item);
+            });
+
+            const rect = input.getBoundingClientRect();
+            list.style.left = rect.left + 'px';
+            list.style.top = rect.bottom + 2 + 'px';
+            list.style.minWidth = rect.width + 'px';
+            list.style.display = 'block';
+            input.setAttribute('aria-expanded', 'true');
+            highlight(-1);
+        };
+
+        const search = () => {
+            timer = null;
+            matches = input.value.trim().length >= settings.minLength ? (searchFn(input.value) || []) : [];
+            render();
+        };
+
+        const onInput = () => {
+            clearTimeout(timer);
+            timer = setTimeout(search, settings.debounceMs);
+        };
+
+        const onKeyDown = (event) => {
+            const open = list.style.display !== 'none';
+            if (event.key === 'ArrowDown' && open) {
+                event.preventDefault();
+                highlight((active + 1) % matches.length);
+            } else if (event.key === 'ArrowUp' && open) {
+                event.preventDefault();
+                highlight((active - 1 + matches.length) % matches.length);
+            } else if (event.key === 'Enter') {
+                // A search still waiting out the debounce runs now, so Enter never picks from the previous query
+                if (timer !== null) {
+                    clearTimeout(timer);
+                    search();
+                }
+                if (matches.length > 0) {
+                    event.preventDefault();
+                    choose(active >= 0 ? active : 0);
+                }
+            } else if (event.key === 'Escape' && open) {
+                event.preventDefault();
+                close();
+            }
+        };
+
+        const onBlur = () => close();
+
+        input.addEventListener('input', onInput);
+        input.addEventListener('keydown', onKeyDown);
+        input.addEventListener('blur', onBlur);
+
+        return {
+            detach: () => {
+                clearTimeout(timer);
+                input.removeEventListener('input', onInput);
+                input.removeEventListener('keydown', onKeyDown);
+                input.removeEventListener('blur', onBlur);
+                input.removeAttribute('aria-activedescendant');
+                input.setAttribute('aria-expanded', 'false');
+                list.remove();
+            }
+        };
+    }
+};
\ No newline at end of file
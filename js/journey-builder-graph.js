@@ -6,6 +6,7 @@
 window.journeyBuilderGraph = {
     networks: {},
     dotNetRefs: {},
+    searchBoxes: {},
 
     /**
      * Initialize the journey builder graph
@@ -404,6 +405,58 @@ window.journeyBuilderGraph = {
         return true;
     },
 
+    /**
+     * Find journey steps by name, id or step type (requires graph-search.js)
+     */
+    searchNodes: function (containerId, query, options) {
+        const network = this.networks[containerId];
+        if (!network) return [];
+
+        const settings = {
+            fields: { ...window.graphSearch.defaultFields, type: 0.7 },
+            ...options
+        };
+        const index = window.graphSearch.buildIndex(network.body.data.nodes.get(), settings);
+        return window.graphSearch.search(index, query, settings);
+    },
+
+    /**
+     * Focus and pulse a search hit
+     */
+    focusSearchResult: function (containerId, nodeId) {
+        const network = this.networks[containerId];
+        if (!network) return false;
+
+        this.focusNode(containerId, nodeId);
+        window.graphSearch.pulse(network, nodeId);
+        return true;
+    },
+
+    /**
+     * Add autocomplete to a search input; picking a suggestion focuses the step
+     */
+    attachSearchBox: function (containerId, inputId, options) {
+        const input = document.getElementById(inputId);
+        if (!input || !this.networks[containerId]) return false;
+
+        this.detachSearchBox(containerId);
+        this.searchBoxes[containerId] = window.graphSearch.attachAutocomplete(
+            input,
+            query => this.searchNodes(containerId, query, options),
+            match => this.focusSearchResult(containerId, match.nodeId),
+            options
+        );
+        return true;
+    },
+
+    detachSearchBox: function (containerId) {
+        if (this.searchBoxes[containerId]) {
+            this.searchBoxes[containerId].detach();
+            delete this.searchBoxes[containerId];
+        }
+        return true;
+    },
+
     /**
      * Highlight path between nodes
      */
@@ -632,6 +685,8 @@ window.journeyBuilderGraph = {
      * Destroy the network
      */
     destroy: function (containerId) {
+        this.detachSearchBox(containerId);
+
         const network = this.networks[containerId];
         if (network) {
             network.destroy();
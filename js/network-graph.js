@@ -1,86 +1,222 @@
 // Customer Network Graph using vis.js
-// This file provides JavaScript interop for rendering customer relationship networks
+// Single graph service for customer relationship networks: the Customer 360° view (loadData) and
+// entity networks built item by item (addNode/addEdge). Loaded as an ES module and also published as
+// window.customerNetworkGraph for pages that call it through IJSRuntime.
+// Export, file-format, search, overview and accessible-view features require graph-export.js,
+// graph-formats.js, graph-search.js, graph-minimap.js and graph-accessibility.js.
 
-let networkInstances = {};
+// Bumped whenever an exported function changes its signature or return shape
+export const API_VERSION = 2;
+
+const instances = {};
+
+// Suffix for ids given to edges sent without one
+let nextEdgeId = 0;
+
+// Default vis.js options per preset
+const presets = {
+    // Customer 360° relationship view
+    customer360: {
+        nodes: {
+            shape: 'dot',
+            size: 16,
+            font: {
+                size: 12,
+                color: '#343a40'
+            },
+            borderWidth: 2,
+            shadow: true
+        },
+        edges: {
+            width: 2,
+            color: {
+                color: '#848484',
+                highlight: '#3b82f6',
+                hover: '#3b82f6'
+            },
+            arrows: {
+                to: {
+                    enabled: true,
+                    scaleFactor: 0.5
+                }
+            },
+            smooth: {
+                type: 'cubicBezier',
+                roundness: 0.5
+            },
+            font: {
+                size: 10,
+                align: 'middle'
+            }
+        },
+        physics: {
+            enabled: true,
+            barnesHut: {
+                gravitationalConstant: -2000,
+                centralGravity: 0.3,
+                springLength: 95,
+                springConstant: 0.04,
+                damping: 0.09,
+                avoidOverlap: 0.5
+            },
+            stabilization: {
+                enabled: true,
+                iterations: 100,
+                updateInterval: 25
+            }
+        },
+        interaction: {
+            hover: true,
+            tooltipDelay: 100,
+            zoomView: true,
+            dragView: true,
+            navigationButtons: true,
+            keyboard: {
+                enabled: true
+            }
+        },
+        layout: {
+            improvedLayout: true,
+            hierarchical: false
+        }
+    },
+
+    // Entity networks built through addNode/addEdge; physics is frozen once stabilized
+    entityNetwork: {
+        nodes: {
+            shape: 'dot',
+            size: 20,
+            font: {
+                size: 14,
+                color: '#ffffff'
+            },
+            borderWidth: 2,
+            shadow: true
+        },
+        edges: {
+            width: 2,
+            color: { inherit: 'from' },
+            smooth: {
+                type: 'continuous'
+            },
+            arrows: {
+                to: { enabled: true, scaleFactor: 0.5 }
+            }
+        },
+        physics: {
+            enabled: true,
+            barnesHut: {
+                gravitationalConstant: -2000,
+                centralGravity: 0.3,
+                springLength: 150,
+                springConstant: 0.04,
+                damping: 0.09,
+                avoidOverlap: 0.1
+            },
+            stabilization: {
+                enabled: true,
+                iterations: 200
+            }
+        },
+        interaction: {
+            hover: true,
+            tooltipDelay: 200,
+            zoomView: true,
+            dragView: true
+        },
+        layout: {
+            improvedLayout: true,
+            hierarchical: false
+        }
+    }
+};
+
+export function getApiVersion() {
+    return API_VERSION;
+}
+
+/**
+ * Initialize a graph in the given container
+ * Version 2: initialize(containerId, options, dotNetRef)
+ *   options: { apiVersion, preset: 'customer360' | 'entityNetwork', tooltip, interactions, ...vis.js options }
+ *   interactions: passed to enableInteractions with dotNetRef
+ *   savedLayout: state from getLayoutState, restored as the data arrives; layout stays the vis.js option
+ *   accessibleView: true or options for enableAccessibleView to add it; off by default
+ *   dotNetRef: optional, receives OnNodeClicked / OnNodeDoubleClicked
+ * Version 1 (entity network pages): initialize(containerId, dotNetRef)
+ */
+export function initialize(containerId, options, dotNetRef) {
+    try {
+        // Version 1 callers pass the .NET reference as the second argument
+        if (options && typeof options.invokeMethodAsync === 'function') {
+            dotNetRef = options;
+            options = { apiVersion: 1, preset: 'entityNetwork' };
+        }
+
+        // Tooltip, interaction and saved layout settings and interop metadata are ours, everything else goes to vis.js
+        const { apiVersion, preset, tooltip, interactions, savedLayout, accessibleView, ...visOptions } = options || {};
+        if (apiVersion && apiVersion > API_VERSION) {
+            console.error('Unsupported graph API version:', apiVersion, '- this module provides', API_VERSION);
+            return false;
+        }
+
+        const presetName = presets[preset] ? preset : 'customer360';
 
-window.customerNetworkGraph = {
-    initialize: function (containerId, dotNetRef) {
         const container = document.getElementById(containerId);
         if (!container) {
             console.error('Container not found:', containerId);
             return false;
         }
 
+        if (instances[containerId]) {
+            destroy(containerId);
+        }
+
+        // Merge options
+        const finalOptions = { ...presets[presetName], ...visOptions };
+
         // Initialize empty network
         const data = {
             nodes: new vis.DataSet([]),
             edges: new vis.DataSet([])
         };
 
-        const options = {
-            nodes: {
-                shape: 'dot',
-                size: 20,
-                font: {
-                    size: 14,
-                    color: '#ffffff'
-                },
-                borderWidth: 2,
-                shadow: true
-            },
-            edges: {
-                width: 2,
-                color: { inherit: 'from' },
-                smooth: {
-                    type: 'continuous'
-                },
-                arrows: {
-                    to: { enabled: true, scaleFactor: 0.5 }
-                }
-            },
-            physics: {
-                enabled: true,
-                barnesHut: {
-                    gravitationalConstant: -2000,
-                    centralGravity: 0.3,
-                    springLength: 150,
-                    springConstant: 0.04,
-                    damping: 0.09,
-                    avoidOverlap: 0.1
-                },
-                stabilization: {
-                    enabled: true,
-                    iterations: 200
-                }
-            },
-            interaction: {
-                hover: true,
-                tooltipDelay: 200,
-                zoomView: true,
-                dragView: true
-            },
-            layout: {
-                improvedLayout: true,
-                hierarchical: false
-            }
+        // The network renders filtered views so items can be hidden without touching the data
+        const views = {
+            nodes: new vis.DataView(data.nodes, {
+                filter: node => isNodeVisible(containerId, node)
+            }),
+            edges: new vis.DataView(data.edges, {
+                filter: edge => isEdgeVisible(containerId, edge)
+            })
         };
 
-        const network = new vis.Network(container, data, options);
+        // The edge view only re-filters on edge events; an edge added before its endpoint is shown once the node arrives
+        data.nodes.on('add', () => views.edges.refresh());
+        data.nodes.on('remove', () => views.edges.refresh());
+
+        // Create network instance
+        const network = new vis.Network(container, views, finalOptions);
+
+        // Place nodes from a saved layout as soon as they are added
+        data.nodes.on('add', (event, properties) => applySavedPositions(containerId, properties.items));
 
         // Event handlers
-        network.on('click', function (params) {
-            if (params.nodes.length > 0) {
-                const nodeId = params.nodes[0];
-                dotNetRef.invokeMethodAsync('OnNodeClicked', nodeId);
-            }
-        });
+        if (dotNetRef) {
+            network.on('click', function (params) {
+                if (params.nodes.length > 0) {
+                    const nodeId = params.nodes[0];
+                    dotNetRef.invokeMethodAsync('OnNodeClicked', nodeId);
+                }
+            });
 
-        network.on('doubleClick', function (params) {
-            if (params.nodes.length > 0) {
-                const nodeId = params.nodes[0];
-                dotNetRef.invokeMethodAsync('OnNodeDoubleClicked', nodeId);
-            }
-        });
+            network.on('doubleClick', function (params) {
+                if (params.nodes.length > 0) {
+                    const nodeId = params.nodes[0];
+                    dotNetRef.invokeMethodAsync('OnNodeDoubleClicked', nodeId);
+                }
+            });
+        }
 
         network.on('hoverNode', function (params) {
             container.style.cursor = 'pointer';
@@ -90,260 +226,4257 @@ window.customerNetworkGraph = {
             container.style.cursor = 'default';
         });
 
-        network.on('stabilizationIterationsDone', function () {
-            network.setOptions({ physics: false });
-        });
+        if (presetName === 'entityNetwork') {
+            network.on('stabilizationIterationsDone', function () {
+                network.setOptions({ physics: false });
+            });
+        }
 
-        networkInstances[containerId] = {
+        // Store instance
+        instances[containerId] = {
             network: network,
-            data: data
+            nodes: data.nodes,
+            edges: data.edges,
+            nodesView: views.nodes,
+            edgesView: views.edges,
+            preset: presetName,
+            apiVersion: apiVersion || API_VERSION,
+            dotNetRef: dotNetRef || null,
+            temporal: null,
+            filters: null,
+            expandedNodes: new Set(),
+            expansion: null,
+            clusterIds: [],
+            interactions: null,
+            savedLayout: prepareSavedLayout(savedLayout),
+            layoutPersistence: null,
+            layoutType: 'physics',
+            layoutAnimation: null,
+            searchBox: null,
+            miniMap: null,
+            accessibleView: null,
+            tooltipOptions: createTooltipOptions(tooltip)
         };
 
+        if (interactions) {
+            enableInteractions(containerId, dotNetRef, interactions);
+        }
+
+        if (accessibleView) {
+            enableAccessibleView(containerId, accessibleView);
+        }
+
+        console.log('Network graph initialized:', containerId);
         return true;
-    },
+    } catch (error) {
+        console.error('Error initializing network graph:', error);
+        return false;
+    }
+}
 
-    addNode: function (containerId, nodeData) {
-        const instance = networkInstances[containerId];
+export function loadData(containerId, graphData) {
+    try {
+        const instance = instances[containerId];
         if (!instance) {
             console.error('Network instance not found:', containerId);
             return false;
         }
 
-        try {
-            const node = {
-                id: nodeData.id,
-                label: nodeData.label,
-                title: nodeData.title || nodeData.label,
-                group: nodeData.group,
-                color: {
-                    background: nodeData.color || '#3b82f6',
-                    border: nodeData.borderColor || '#2563eb',
-                    highlight: {
-                        background: nodeData.highlightColor || '#60a5fa',
-                        border: nodeData.highlightBorderColor || '#1d4ed8'
-                    }
-                },
-                size: nodeData.size || 20,
-                font: {
-                    color: '#ffffff',
-                    size: nodeData.fontSize || 14
-                },
-                shape: nodeData.shape || 'dot'
-            };
+        // Parse nodes and edges
+        const nodes = graphData.nodes.map(node => ({
+            ...createVisNode(node, instance.tooltipOptions),
+            expansionDepth: 0
+        }));
+        const edges = graphData.edges.map(edge => createVisEdge(edge, instance.tooltipOptions));
 
-            instance.data.nodes.add(node);
-            return true;
-        } catch (error) {
-            console.error('Error adding node:', error);
-            return false;
-        }
-    },
+        // Update network
+        instance.nodes.clear();
+        instance.edges.clear();
+        instance.nodes.add(nodes);
+        instance.edges.add(edges);
+        instance.expandedNodes = new Set();
 
-    addEdge: function (containerId, edgeData) {
-        const instance = networkInstances[containerId];
-        if (!instance) {
-            console.error('Network instance not found:', containerId);
-            return false;
+        // Fit to view, unless a saved layout just restored the viewport
+        if (!(instance.savedLayout && instance.savedLayout.viewportApplied)) {
+            instance.network.fit({
+                animation: {
+                    duration: 1000,
+                    easingFunction: 'easeInOutQuad'
+                }
+            });
         }
 
-        try {
-            const edge = {
-                from: edgeData.from,
-                to: edgeData.to,
-                label: edgeData.label || '',
-                title: edgeData.title || edgeData.label,
-                color: {
-                    color: edgeData.color || '#94a3b8',
-                    highlight: edgeData.highlightColor || '#475569'
-                },
-                width: edgeData.width || 2,
-                dashes: edgeData.dashed || false,
-                arrows: {
-                    to: {
-                        enabled: edgeData.directed !== false,
-                        scaleFactor: 0.5
-                    }
-                }
-            };
+        console.log('Network data loaded:', nodes.length, 'nodes,', edges.length, 'edges');
+        return true;
+    } catch (error) {
+        console.error('Error loading network data:', error);
+        return false;
+    }
+}
 
-            instance.data.edges.add(edge);
-            return true;
-        } catch (error) {
-            console.error('Error adding edge:', error);
-            return false;
-        }
-    },
+export function addNode(containerId, nodeData) {
+    const instance = instances[containerId];
+    if (!instance) {
+        console.error('Network instance not found:', containerId);
+        return false;
+    }
 
-    updateNode: function (containerId, nodeId, updates) {
-        const instance = networkInstances[containerId];
-        if (!instance) return false;
+    try {
+        instance.nodes.add(createEntityNode(nodeData));
+        return true;
+    } catch (error) {
+        console.error('Error adding node:', error);
+        return false;
+    }
+}
 
-        try {
-            instance.data.nodes.update({ id: nodeId, ...updates });
-            return true;
-        } catch (error) {
-            console.error('Error updating node:', error);
-            return false;
-        }
-    },
+export function addEdge(containerId, edgeData) {
+    const instance = instances[containerId];
+    if (!instance) {
+        console.error('Network instance not found:', containerId);
+        return false;
+    }
 
-    removeNode: function (containerId, nodeId) {
-        const instance = networkInstances[containerId];
-        if (!instance) return false;
+    try {
+        instance.edges.add(createEntityEdge(edgeData));
+        return true;
+    } catch (error) {
+        console.error('Error adding edge:', error);
+        return false;
+    }
+}
 
-        try {
-            instance.data.nodes.remove(nodeId);
-            return true;
-        } catch (error) {
-            console.error('Error removing node:', error);
-            return false;
+function createEntityNode(nodeData) {
+    return {
+        id: nodeData.id,
+        label: nodeData.label,
+        title: nodeData.title || nodeData.label,
+        group: nodeData.group,
+        color: {
+            background: nodeData.color || '#3b82f6',
+            border: nodeData.borderColor || '#2563eb',
+            highlight: {
+                background: nodeData.highlightColor || '#60a5fa',
+                border: nodeData.highlightBorderColor || '#1d4ed8'
+            }
+        },
+        size: nodeData.size || 20,
+        font: {
+            color: '#ffffff',
+            size: nodeData.fontSize || 14
+        },
+        shape: nodeData.shape || 'dot',
+        // Original payload, used by exportNetwork
+        properties: nodeData
+    };
+}
+
+function createEntityEdge(edgeData) {
+    return {
+        // Stable id so the edge can be updated and removed later
+        id: getEdgeId(edgeData),
+        from: edgeData.from,
+        to: edgeData.to,
+        label: edgeData.label || '',
+        title: edgeData.title || edgeData.label,
+        color: {
+            color: edgeData.color || '#94a3b8',
+            highlight: edgeData.highlightColor || '#475569'
+        },
+        width: edgeData.width || 2,
+        dashes: edgeData.dashed || false,
+        arrows: {
+            to: {
+                enabled: edgeData.directed !== false,
+                scaleFactor: 0.5
+            }
+        },
+        // Domain attributes kept for graph analytics
+        ownershipPercentage: edgeData.ownershipPercentage,
+        transactionValue: edgeData.transactionValue,
+        // Original payload, used by exportNetwork
+        properties: edgeData
+    };
+}
+
+// Edges sent without an id are looked up by their endpoints and label
+function getEdgeKey(edgeData) {
+    if (edgeData.id !== undefined && edgeData.id !== null) {
+        return edgeData.id;
+    }
+    return edgeData.from + '|' + edgeData.to + '|' + (edgeData.label || '');
+}
+
+// The key is not unique: repeated transfers or several roles between two parties are parallel edges,
+// so edges without an id get the key plus a counter
+function getEdgeId(edgeData) {
+    if (edgeData.id !== undefined && edgeData.id !== null) {
+        return edgeData.id;
+    }
+    return getEdgeKey(edgeData) + '|' + (++nextEdgeId);
+}
+
+// Ids of the edges matching a { from, to, label } reference, oldest first
+function findEdgeIds(instance, edgeRef) {
+    return instance.edges.get({
+        filter: edge => edge.from === edgeRef.from &&
+            edge.to === edgeRef.to &&
+            (edge.label || '') === (edgeRef.label || '')
+    }).map(edge => edge.id);
+}
+
+// Resolve an edge id, or a { from, to, label } reference, to the id stored in the DataSet
+function resolveEdgeId(instance, edgeRef) {
+    if (edgeRef === undefined || edgeRef === null) return null;
+
+    if (typeof edgeRef !== 'object') {
+        return instance.edges.get(edgeRef) ? edgeRef : null;
+    }
+
+    const key = getEdgeKey(edgeRef);
+    if (instance.edges.get(key)) return key;
+
+    // Edges added without an id, or loaded through loadData/mergeData, carry generated ids
+    const matches = findEdgeIds(instance, edgeRef);
+    return matches.length > 0 ? matches[0] : null;
+}
+
+// Style a payload the same way the graph's preset styles items it loads
+function buildNode(instance, nodeData) {
+    if (instance.preset === 'entityNetwork') {
+        return createEntityNode(nodeData);
+    }
+    return createVisNode(nodeData, instance.tooltipOptions);
+}
+
+function buildEdge(instance, edgeData) {
+    if (instance.preset === 'entityNetwork') {
+        return createEntityEdge(edgeData);
+    }
+    return createVisEdge(edgeData, instance.tooltipOptions);
+}
+
+function isSamePayload(a, b) {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return [...keys].every(key => JSON.stringify(a[key]) === JSON.stringify(b[key]));
+}
+
+/**
+ * Stage add/update payloads against a DataSet
+ * Adds for ids already present become updates, updates are merged into the current payload,
+ * and payloads identical to what is on the graph are dropped.
+ * Returns the vis items to add and to update
+ */
+function diffPayloads(dataSet, addPayloads, updatePayloads, getId, build, counts) {
+    const staged = new Map();
+
+    const stage = (payload, isPatch) => {
+        const id = getId(payload, isPatch);
+        if (id === undefined || id === null) {
+            counts.skipped++;
+            return;
         }
-    },
 
-    clearNetwork: function (containerId) {
-        const instance = networkInstances[containerId];
-        if (!instance) return false;
+        const pending = staged.get(id);
+        const existing = dataSet.get(id);
+        const current = pending ? pending.payload : existing ? existing.properties : null;
 
-        try {
-            instance.data.nodes.clear();
-            instance.data.edges.clear();
-            return true;
-        } catch (error) {
-            console.error('Error clearing network:', error);
-            return false;
+        if (isPatch && !current) {
+            counts.skipped++;
+            return;
         }
-    },
 
-    fitNetwork: function (containerId) {
-        const instance = networkInstances[containerId];
-        if (!instance) return false;
+        const merged = isPatch ? { ...current, ...payload } : payload;
+        staged.set(id, { payload: merged, existing: existing });
+    };
 
-        try {
-            instance.network.fit({
-                animation: {
-                    duration: 1000,
-                    easingFunction: 'easeInOutQuad'
-                }
-            });
-            return true;
-        } catch (error) {
-            console.error('Error fitting network:', error);
-            return false;
+    (addPayloads || []).forEach(payload => stage(payload, false));
+    (updatePayloads || []).forEach(payload => stage(payload, true));
+
+    const toAdd = [];
+    const toUpdate = [];
+    staged.forEach((entry, id) => {
+        if (!entry.existing) {
+            toAdd.push({ ...build(entry.payload), id: id });
+        } else if (entry.existing.properties && isSamePayload(entry.existing.properties, entry.payload)) {
+            counts.unchanged++;
+        } else {
+            toUpdate.push({ ...build(entry.payload), id: id });
         }
-    },
+    });
 
-    focusNode: function (containerId, nodeId) {
-        const instance = networkInstances[containerId];
-        if (!instance) return false;
+    counts.added += toAdd.length;
+    counts.updated += toUpdate.length;
+    return { toAdd, toUpdate };
+}
 
-        try {
-            instance.network.focus(nodeId, {
-                scale: 1.5,
-                animation: {
-                    duration: 1000,
-                    easingFunction: 'easeInOutQuad'
-                }
-            });
-            return true;
-        } catch (error) {
-            console.error('Error focusing node:', error);
-            return false;
+/**
+ * Apply a batch of graph changes in a single interop call
+ * changes: {
+ *   addNodes, updateNodes, removeNodes,
+ *   addEdges, updateEdges, removeEdges
+ * }
+ * add*: full payloads in the addNode/addEdge shape; items already on the graph are updated instead
+ * update*: partial payloads merged into the current ones; unknown items are skipped
+ * remove*: ids, or { from, to, label } for edges; edges left without an endpoint are removed too
+ * Items are styled by the graph's preset and written with one DataSet call per operation,
+ * so the network redraws once. Returns { nodes, edges } counts of added, updated, removed,
+ * unchanged and skipped items
+ */
+export function applyChanges(containerId, changes) {
+    const instance = instances[containerId];
+    if (!instance) {
+        console.error('Network instance not found:', containerId);
+        return null;
+    }
+
+    try {
+        const counts = () => ({ added: 0, updated: 0, removed: 0, unchanged: 0, skipped: 0 });
+        const summary = { nodes: counts(), edges: counts() };
+        const batch = changes || {};
+
+        // Removals first so re-added ids start from a clean slate
+        const removedNodeIds = new Set((batch.removeNodes || []).filter(id => instance.nodes.get(id)));
+        const removedEdgeIds = new Set();
+
+        (batch.removeEdges || []).forEach(edgeRef => {
+            const edgeId = resolveEdgeId(instance, edgeRef);
+            if (edgeId === null) {
+                summary.edges.skipped++;
+            } else {
+                removedEdgeIds.add(edgeId);
+            }
+        });
+
+        if (removedNodeIds.size > 0) {
+            instance.edges.get({
+                filter: edge => removedNodeIds.has(edge.from) || removedNodeIds.has(edge.to)
+            }).forEach(edge => removedEdgeIds.add(edge.id));
         }
-    },
 
-    selectNode: function (containerId, nodeId) {
-        const instance = networkInstances[containerId];
-        if (!instance) return false;
+        summary.nodes.skipped += (batch.removeNodes || []).length - removedNodeIds.size;
 
-        try {
-            instance.network.selectNodes([nodeId]);
-            return true;
-        } catch (error) {
-            console.error('Error selecting node:', error);
-            return false;
+        if (removedEdgeIds.size > 0) {
+            instance.edges.remove([...removedEdgeIds]);
+            summary.edges.removed = removedEdgeIds.size;
         }
-    },
 
-    setOptions: function (containerId, options) {
-        const instance = networkInstances[containerId];
-        if (!instance) return false;
+        if (removedNodeIds.size > 0) {
+            instance.nodes.remove([...removedNodeIds]);
+            summary.nodes.removed = removedNodeIds.size;
+        }
 
-        try {
-            instance.network.setOptions(options);
-            return true;
-        } catch (error) {
-            console.error('Error setting options:', error);
+        // Nodes before edges so new edges have both endpoints
+        const nodeChanges = diffPayloads(
+            instance.nodes,
+            batch.addNodes,
+            batch.updateNodes,
+            payload => payload.id,
+            payload => buildNode(instance, payload),
+            summary.nodes
+        );
+        if (nodeChanges.toAdd.length > 0) instance.nodes.add(nodeChanges.toAdd);
+        if (nodeChanges.toUpdate.length > 0) instance.nodes.update(nodeChanges.toUpdate);
+
+        // Added edges without an id are paired with the parallel edges already on the graph in order,
+        // one payload per edge, so resending a batch changes nothing; payloads beyond those are new edges
+        const parallelEdges = new Map();
+        const getAddedEdgeId = payload => {
+            if (payload.id !== undefined && payload.id !== null) return payload.id;
+
+            const key = getEdgeKey(payload);
+            if (!parallelEdges.has(key)) {
+                parallelEdges.set(key, { ids: findEdgeIds(instance, payload), used: 0 });
+            }
+            const parallel = parallelEdges.get(key);
+            return parallel.used < parallel.ids.length ? parallel.ids[parallel.used++] : getEdgeId(payload);
+        };
+
+        const edgeChanges = diffPayloads(
+            instance.edges,
+            batch.addEdges,
+            batch.updateEdges,
+            (payload, isPatch) => isPatch ? resolveEdgeId(instance, payload) : getAddedEdgeId(payload),
+            payload => buildEdge(instance, payload),
+            summary.edges
+        );
+        if (edgeChanges.toAdd.length > 0) instance.edges.add(edgeChanges.toAdd);
+        if (edgeChanges.toUpdate.length > 0) instance.edges.update(edgeChanges.toUpdate);
+
+        console.log('Network changes applied:', containerId, summary);
+        return summary;
+    } catch (error) {
+        console.error('Error applying network changes:', error);
+        return null;
+    }
+}
+
+export function updateNode(containerId, nodeId, updates) {
+    const instance = instances[containerId];
+    if (!instance) return false;
+
+    try {
+        instance.nodes.update({ id: nodeId, ...updates });
+        return true;
+    } catch (error) {
+        console.error('Error updating node:', error);
+        return false;
+    }
+}
+
+export function removeNode(containerId, nodeId) {
+    const instance = instances[containerId];
+    if (!instance) return false;
+
+    try {
+        instance.nodes.remove(nodeId);
+        return true;
+    } catch (error) {
+        console.error('Error removing node:', error);
+        return false;
+    }
+}
+
+export function updateEdge(containerId, edgeRef, updates) {
+    const instance = instances[containerId];
+    if (!instance) return false;
+
+    try {
+        const edgeId = resolveEdgeId(instance, edgeRef);
+        if (edgeId === null) {
+            console.error('Edge not found:', edgeRef);
             return false;
         }
-    },
 
-    enablePhysics: function (containerId, enable) {
-        const instance = networkInstances[containerId];
-        if (!instance) return false;
+        instance.edges.update({ ...updates, id: edgeId });
+        return true;
+    } catch (error) {
+        console.error('Error updating edge:', error);
+        return false;
+    }
+}
 
-        try {
-            instance.network.setOptions({ physics: { enabled: enable } });
-            return true;
-        } catch (error) {
-            console.error('Error toggling physics:', error);
+export function removeEdge(containerId, edgeRef) {
+    const instance = instances[containerId];
+    if (!instance) return false;
+
+    try {
+        const edgeId = resolveEdgeId(instance, edgeRef);
+        if (edgeId === null) {
+            console.error('Edge not found:', edgeRef);
             return false;
         }
-    },
 
-    setLayout: function (containerId, layoutType) {
-        const instance = networkInstances[containerId];
-        if (!instance) return false;
+        instance.edges.remove(edgeId);
+        return true;
+    } catch (error) {
+        console.error('Error removing edge:', error);
+        return false;
+    }
+}
 
-        try {
-            const layoutOptions = {
-                hierarchical: false,
-                improvedLayout: true
-            };
+export function clearNetwork(containerId) {
+    const instance = instances[containerId];
+    if (!instance) return false;
 
-            if (layoutType === 'hierarchical') {
-                layoutOptions.hierarchical = {
-                    enabled: true,
-                    direction: 'UD',
-                    sortMethod: 'directed',
-                    levelSeparation: 150,
-                    nodeSpacing: 200
-                };
+    try {
+        instance.nodes.clear();
+        instance.edges.clear();
+        return true;
+    } catch (error) {
+        console.error('Error clearing network:', error);
+        return false;
+    }
+}
+
+export function fitNetwork(containerId) {
+    const instance = instances[containerId];
+    if (!instance) return false;
+
+    try {
+        instance.network.fit({
+            animation: {
+                duration: 1000,
+                easingFunction: 'easeInOutQuad'
             }
+        });
+        return true;
+    } catch (error) {
+        console.error('Error fitting network:', error);
+        return false;
+    }
+}
 
-            instance.network.setOptions({ layout: layoutOptions });
+export function selectNode(containerId, nodeId) {
+    const instance = instances[containerId];
+    if (!instance) return false;
+
+    try {
+        instance.network.selectNodes([nodeId]);
+        return true;
+    } catch (error) {
+        console.error('Error selecting node:', error);
+        return false;
+    }
+}
+
+export function setOptions(containerId, options) {
+    const instance = instances[containerId];
+    if (!instance) return false;
+
+    try {
+        instance.network.setOptions(options);
+        return true;
+    } catch (error) {
+        console.error('Error setting options:', error);
+        return false;
+    }
+}
+
+export function enablePhysics(containerId, enable) {
+    const instance = instances[containerId];
+    if (!instance) return false;
+
+    try {
+        instance.network.setOptions({ physics: { enabled: enable } });
+        return true;
+    } catch (error) {
+        console.error('Error toggling physics:', error);
+        return false;
+    }
+}
+
+/**
+ * Switch layout
+ * layoutType:
+ *   'physics' (default) - force-directed
+ *   'hierarchical'      - vis.js top-down hierarchy
+ *   'tree' / 'treeLR'   - ownership tree, ultimate parents at the top / on the left
+ *   'radial'            - rings around the focal customer, branches kept together
+ *   'concentric'        - evenly spaced rings by degrees of separation from the focal customer
+ *   'circular', 'grid'
+ * options: { centerNodeId, levelSeparation: 150, nodeSpacing: 120, animate: true, duration: 800, fit: true }
+ * Computed layouts (tree onwards) turn physics off and animate nodes to their new positions
+ */
+export function setLayout(containerId, layoutType, options) {
+    const instance = instances[containerId];
+    if (!instance) return false;
+
+    try {
+        const settings = {
+            levelSeparation: 150,
+            nodeSpacing: 120,
+            animate: true,
+            duration: 800,
+            fit: true,
+            ...options
+        };
+
+        const compute = layoutAlgorithms[layoutType];
+        if (compute) {
+            stopLayoutAnimation(instance);
+            instance.network.setOptions({
+                layout: { hierarchical: false },
+                physics: false
+            });
+
+            const graph = getVisibleGraph(instance);
+            const targets = compute(graph, settings, instance);
+            instance.layoutType = layoutType;
+            animateToPositions(containerId, targets, settings);
             return true;
-        } catch (error) {
-            console.error('Error setting layout:', error);
-            return false;
         }
-    },
 
-    exportNetwork: function (containerId) {
-        const instance = networkInstances[containerId];
-        if (!instance) return null;
+        const layoutOptions = {
+            hierarchical: false,
+            improvedLayout: true
+        };
 
-        try {
-            return {
-                nodes: instance.data.nodes.get(),
-                edges: instance.data.edges.get()
+        if (layoutType === 'hierarchical') {
+            layoutOptions.hierarchical = {
+                enabled: true,
+                direction: 'UD',
+                sortMethod: 'directed',
+                levelSeparation: 150,
+                nodeSpacing: 200
             };
-        } catch (error) {
-            console.error('Error exporting network:', error);
-            return null;
         }
-    },
 
-    destroy: function (containerId) {
-        const instance = networkInstances[containerId];
-        if (!instance) return false;
+        stopLayoutAnimation(instance);
 
-        try {
-            instance.network.destroy();
-            delete networkInstances[containerId];
-            return true;
-        } catch (error) {
-            console.error('Error destroying network:', error);
-            return false;
+        // Computed layouts switched physics off; give it back when returning to force-directed
+        const wasComputed = !!layoutAlgorithms[instance.layoutType];
+        instance.layoutType = layoutType || 'physics';
+        if (wasComputed && layoutType !== 'hierarchical') {
+            instance.network.setOptions({ layout: layoutOptions, physics: { enabled: true } });
+
+            // Entity networks freeze once stabilized; stabilizing again lets the preset's handler switch physics off
+            if (instance.preset === 'entityNetwork') {
+                instance.network.stabilize();
+            }
+        } else {
+            instance.network.setOptions({ layout: layoutOptions });
         }
+        return true;
+    } catch (error) {
+        console.error('Error setting layout:', error);
+        return false;
     }
+}
+
+// layoutType -> (graph, settings, instance) => Map(nodeId -> { x, y })
+const layoutAlgorithms = {
+    tree: (graph, settings) => computeTreeLayout(graph, settings, false),
+    treeLR: (graph, settings) => computeTreeLayout(graph, settings, true),
+    radial: (graph, settings, instance) => computeRadialLayout(graph, settings, instance).positions,
+    concentric: computeConcentricLayout,
+    circular: computeCircularLayout,
+    grid: computeGridLayout
 };
+
+// Visible nodes and edges only, so filtered or time-hidden items do not take up space
+function getVisibleGraph(instance) {
+    const nodes = instance.nodesView.get();
+    const nodeIds = new Set(nodes.map(node => node.id));
+    const edges = instance.edgesView.get().filter(edge => nodeIds.has(edge.from) && nodeIds.has(edge.to));
+
+    const neighbours = new Map(nodes.map(node => [node.id, []]));
+    edges.forEach(edge => {
+        neighbours.get(edge.from).push(edge.to);
+        neighbours.get(edge.to).push(edge.from);
+    });
+
+    return { nodes: nodes, edges: edges, neighbours: neighbours };
+}
+
+function getFocalNodeId(graph, settings, instance) {
+    const ids = graph.nodes.map(node => node.id);
+    if (settings.centerNodeId !== undefined && settings.centerNodeId !== null) {
+        const match = ids.find(id => String(id) === String(settings.centerNodeId));
+        if (match !== undefined) return match;
+    }
+
+    const customer = graph.nodes.find(node => node.nodeType === 'customer');
+    if (customer) return customer.id;
+
+    const selected = instance.network.getSelectedNodes().find(id => graph.neighbours.has(id));
+    if (selected !== undefined) return selected;
+
+    // Fall back to the best connected node
+    let focal = ids[0];
+    graph.neighbours.forEach((list, id) => {
+        if (list.length > graph.neighbours.get(focal).length) focal = id;
+    });
+    return focal;
+}
+
+function isOwnershipEdge(edge) {
+    return edge.ownershipPercentage !== undefined && edge.ownershipPercentage !== null && edge.ownershipPercentage !== '';
+}
+
+/**
+ * Layered ownership tree: owners above (or left of) what they own
+ * Falls back to all edges when the graph has no ownership edges
+ */
+function computeTreeLayout(graph, settings, horizontal) {
+    const ownership = graph.edges.filter(isOwnershipEdge);
+    const treeEdges = ownership.length > 0 ? ownership : graph.edges;
+
+    // Break cross-holding loops at their weakest stake so the rest reads top-down
+    let acyclic = treeEdges.filter(edge => edge.from !== edge.to);
+    for (let pass = 0; pass < treeEdges.length; pass++) {
+        const outgoing = new Map(graph.nodes.map(node => [node.id, []]));
+        acyclic.forEach(edge => outgoing.get(edge.from).push(edge));
+
+        const loops = findStronglyConnectedComponents(outgoing).filter(component => component.length > 1);
+        if (loops.length === 0) break;
+
+        const dropped = new Set(loops.map(component => {
+            const members = new Set(component);
+            return acyclic
+                .filter(edge => members.has(edge.from) && members.has(edge.to))
+                .reduce((weakest, edge) =>
+                    (Number(edge.ownershipPercentage) || 0) < (Number(weakest.ownershipPercentage) || 0) ? edge : weakest);
+        }));
+        acyclic = acyclic.filter(edge => !dropped.has(edge));
+    }
+
+    const children = new Map(graph.nodes.map(node => [node.id, []]));
+    const parents = new Map(graph.nodes.map(node => [node.id, []]));
+    acyclic.forEach(edge => {
+        children.get(edge.from).push(edge.to);
+        parents.get(edge.to).push(edge.from);
+    });
+
+    const inTree = graph.nodes.map(node => node.id).filter(id => children.get(id).length > 0 || parents.get(id).length > 0);
+
+    // Topological order from the ultimate parents down, each node one level below its deepest owner
+    const level = new Map(inTree.map(id => [id, 0]));
+    const remaining = new Map(inTree.map(id => [id, parents.get(id).length]));
+    const order = inTree.filter(id => remaining.get(id) === 0);
+    for (let index = 0; index < order.length; index++) {
+        const nodeId = order[index];
+        children.get(nodeId).forEach(childId => {
+            level.set(childId, Math.max(level.get(childId), level.get(nodeId) + 1));
+            remaining.set(childId, remaining.get(childId) - 1);
+            if (remaining.get(childId) === 0) order.push(childId);
+        });
+    }
+
+    const levels = [];
+    order.forEach(nodeId => {
+        const depth = level.get(nodeId);
+        (levels[depth] = levels[depth] || []).push(nodeId);
+    });
+
+    // Nodes outside the ownership structure go on a row of their own underneath
+    const outside = graph.nodes.map(node => node.id).filter(id => !level.has(id));
+    if (outside.length > 0) {
+        levels.push(outside);
+    }
+
+    // Place each level under the average position of its owners, keeping nodes apart
+    const offsets = new Map();
+    levels.forEach(levelIds => {
+        const desired = levelIds.map((nodeId, index) => {
+            const placedParents = (parents.get(nodeId) || []).filter(parentId => offsets.has(parentId));
+            return placedParents.length > 0 ?
+                placedParents.reduce((sum, parentId) => sum + offsets.get(parentId), 0) / placedParents.length :
+                (index - (levelIds.length - 1) / 2) * settings.nodeSpacing;
+        });
+
+        const sorted = levelIds.map((nodeId, index) => ({ nodeId, desired: desired[index] }))
+            .sort((a, b) => a.desired - b.desired);
+
+        let previous = -Infinity;
+        sorted.forEach(entry => {
+            entry.offset = Math.max(entry.desired, previous + settings.nodeSpacing);
+            previous = entry.offset;
+        });
+
+        const drift = sorted.reduce((sum, entry) => sum + entry.offset - entry.desired, 0) / sorted.length;
+        sorted.forEach(entry => offsets.set(entry.nodeId, entry.offset - drift));
+    });
+
+    const positions = new Map();
+    levels.forEach((levelIds, depth) => {
+        levelIds.forEach(nodeId => {
+            const along = offsets.get(nodeId);
+            const across = depth * settings.levelSeparation;
+            positions.set(nodeId, horizontal ? { x: across, y: along } : { x: along, y: across });
+        });
+    });
+
+    return positions;
+}
+
+/**
+ * Radial tree around the focal node
+ * Breadth-first rings; each branch gets a wedge sized by its number of leaves so it stays together.
+ * Nodes not connected to the focal node go on an outer ring
+ */
+function computeRadialLayout(graph, settings, instance) {
+    const positions = new Map();
+    const depth = new Map();
+    const angle = new Map();
+    if (graph.nodes.length === 0) {
+        return { positions, depth, angle };
+    }
+
+    const focal = getFocalNodeId(graph, settings, instance);
+    const children = new Map([[focal, []]]);
+    const rings = [[focal]];
+    depth.set(focal, 0);
+
+    for (let ring = 0; ring < rings.length; ring++) {
+        const next = [];
+        rings[ring].forEach(nodeId => {
+            graph.neighbours.get(nodeId).forEach(neighbourId => {
+                if (!depth.has(neighbourId)) {
+                    depth.set(neighbourId, ring + 1);
+                    children.get(nodeId).push(neighbourId);
+                    children.set(neighbourId, []);
+                    next.push(neighbourId);
+                }
+            });
+        });
+        if (next.length > 0) rings.push(next);
+    }
+
+    const unreachable = graph.nodes.map(node => node.id).filter(id => !depth.has(id));
+    if (unreachable.length > 0) {
+        unreachable.forEach(nodeId => depth.set(nodeId, rings.length));
+        rings.push(unreachable);
+    }
+
+    // Rings grow when they need more room than the level separation gives them
+    const radius = [0];
+    for (let ring = 1; ring < rings.length; ring++) {
+        radius[ring] = Math.max(
+            radius[ring - 1] + settings.levelSeparation,
+            rings[ring].length * settings.nodeSpacing / (2 * Math.PI)
+        );
+    }
+
+    const leaves = new Map();
+    const countLeaves = (nodeId) => {
+        const list = children.get(nodeId);
+        const count = list.length === 0 ? 1 : list.reduce((sum, childId) => sum + countLeaves(childId), 0);
+        leaves.set(nodeId, count);
+        return count;
+    };
+    countLeaves(focal);
+
+    const assign = (nodeId, start, end) => {
+        angle.set(nodeId, (start + end) / 2);
+        let cursor = start;
+        children.get(nodeId).forEach(childId => {
+            const span = (end - start) * leaves.get(childId) / leaves.get(nodeId);
+            assign(childId, cursor, cursor + span);
+            cursor += span;
+        });
+    };
+    assign(focal, -Math.PI / 2, 3 * Math.PI / 2);
+
+    unreachable.forEach((nodeId, index) => {
+        angle.set(nodeId, -Math.PI / 2 + 2 * Math.PI * index / unreachable.length);
+    });
+
+    depth.forEach((ring, nodeId) => {
+        positions.set(nodeId, {
+            x: radius[ring] * Math.cos(angle.get(nodeId)),
+            y: radius[ring] * Math.sin(angle.get(nodeId))
+        });
+    });
+
+    return { positions, depth, angle };
+}
+
+// Rings by degrees of separation with nodes spread evenly, in the order of the radial tree
+function computeConcentricLayout(graph, settings, instance) {
+    const radial = computeRadialLayout(graph, settings, instance);
+    const rings = [];
+    radial.depth.forEach((ring, nodeId) => {
+        (rings[ring] = rings[ring] || []).push(nodeId);
+    });
+
+    const positions = new Map();
+    let radius = 0;
+    rings.forEach((ringIds, ring) => {
+        if (ring > 0) {
+            radius = Math.max(radius + settings.levelSeparation, ringIds.length * settings.nodeSpacing / (2 * Math.PI));
+        }
+
+        ringIds.sort((a, b) => radial.angle.get(a) - radial.angle.get(b));
+        ringIds.forEach((nodeId, index) => {
+            const theta = -Math.PI / 2 + 2 * Math.PI * index / ringIds.length;
+            positions.set(nodeId, { x: radius * Math.cos(theta), y: radius * Math.sin(theta) });
+        });
+    });
+
+    return positions;
+}
+
+// One circle, grouped by community when detectCommunities has run, neighbours kept adjacent
+function computeCircularLayout(graph, settings, instance) {
+    const visited = new Set();
+    const order = [];
+    const start = getFocalNodeId(graph, settings, instance);
+    [start, ...graph.nodes.map(node => node.id)].forEach(rootId => {
+        if (rootId === undefined || visited.has(rootId)) return;
+        const stack = [rootId];
+        while (stack.length > 0) {
+            const nodeId = stack.pop();
+            if (visited.has(nodeId)) continue;
+            visited.add(nodeId);
+            order.push(nodeId);
+            graph.neighbours.get(nodeId).slice().reverse().forEach(neighbourId => {
+                if (!visited.has(neighbourId)) stack.push(neighbourId);
+            });
+        }
+    });
+
+    const community = new Map(graph.nodes.map(node => [node.id, node.community]));
+    const rank = new Map(order.map((nodeId, index) => [nodeId, index]));
+    const communityRank = new Map();
+    order.forEach(nodeId => {
+        const key = community.get(nodeId);
+        if (!communityRank.has(key)) communityRank.set(key, communityRank.size);
+    });
+    order.sort((a, b) =>
+        (communityRank.get(community.get(a)) - communityRank.get(community.get(b))) || (rank.get(a) - rank.get(b)));
+
+    const radius = Math.max(settings.levelSeparation, order.length * settings.nodeSpacing / (2 * Math.PI));
+    const positions = new Map();
+    order.forEach((nodeId, index) => {
+        const theta = -Math.PI / 2 + 2 * Math.PI * index / order.length;
+        positions.set(nodeId, { x: radius * Math.cos(theta), y: radius * Math.sin(theta) });
+    });
+
+    return positions;
+}
+
+// Rows sorted by node type, then label
+function computeGridLayout(graph, settings) {
+    const typeOf = node => String(node.nodeType || node.group || '');
+    const nodes = graph.nodes.slice().sort((a, b) =>
+        typeOf(a).localeCompare(typeOf(b)) || String(a.label || '').localeCompare(String(b.label || '')));
+
+    const columns = Math.max(Math.ceil(Math.sqrt(nodes.length)), 1);
+    const rows = Math.ceil(nodes.length / columns);
+    const positions = new Map();
+    nodes.forEach((node, index) => {
+        positions.set(node.id, {
+            x: (index % columns - (columns - 1) / 2) * settings.nodeSpacing,
+            y: (Math.floor(index / columns) - (rows - 1) / 2) * settings.nodeSpacing
+        });
+    });
+
+    return positions;
+}
+
+function stopLayoutAnimation(instance) {
+    if (instance.layoutAnimation) {
+        instance.layoutAnimation.cancelled = true;
+        instance.layoutAnimation = null;
+    }
+}
+
+// Ease nodes from where they are to their targets, then store the positions on the DataSet
+function animateToPositions(containerId, targets, settings) {
+    const instance = instances[containerId];
+    const network = instance.network;
+    const nodeIds = [...targets.keys()];
+    const from = network.getPositions(nodeIds);
+    const animation = { cancelled: false };
+    instance.layoutAnimation = animation;
+
+    const finish = () => {
+        instance.layoutAnimation = null;
+        instance.nodes.update(nodeIds.map(nodeId => ({ id: nodeId, x: targets.get(nodeId).x, y: targets.get(nodeId).y })));
+        if (settings.fit) {
+            network.fit({
+                animation: {
+                    duration: 500,
+                    easingFunction: 'easeInOutQuad'
+                }
+            });
+        }
+        scheduleLayoutSave(containerId);
+    };
+
+    if (!settings.animate || nodeIds.length === 0) {
+        finish();
+        return;
+    }
+
+    const start = performance.now();
+    const step = (now) => {
+        if (animation.cancelled) {
+            return;
+        }
+
+        const progress = Math.min((now - start) / settings.duration, 1);
+        const eased = progress < 0.5 ? 2 * progress * progress : 1 - Math.pow(-2 * progress + 2, 2) / 2;
+        nodeIds.forEach(nodeId => {
+            const source = from[nodeId] || targets.get(nodeId);
+            const target = targets.get(nodeId);
+            network.moveNode(nodeId, source.x + (target.x - source.x) * eased, source.y + (target.y - source.y) * eased);
+        });
+
+        if (progress < 1) {
+            requestAnimationFrame(step);
+        } else {
+            finish();
+        }
+    };
+    requestAnimationFrame(step);
+}
+
+/**
+ * Capture node positions, pinned state and viewport so .NET can store them per case
+ * Returns { version, positions: [{ id, x, y, pinned }], viewport: { position: { x, y }, scale }, savedAt }
+ */
+export function getLayoutState(containerId) {
+    const instance = instances[containerId];
+    if (!instance) {
+        console.error('Network instance not found:', containerId);
+        return null;
+    }
+
+    try {
+        const network = instance.network;
+        const rendered = network.getPositions();
+        const saved = instance.savedLayout ? instance.savedLayout.positions : new Map();
+        const round = value => Math.round(value * 100) / 100;
+
+        // Hidden (filtered) nodes are not rendered, so keep whatever position they last had
+        const positions = instance.nodes.get().map(node => {
+            const position = rendered[node.id] || saved.get(String(node.id)) ||
+                (typeof node.x === 'number' && typeof node.y === 'number' ? node : null);
+            return position ? { id: node.id, x: round(position.x), y: round(position.y), pinned: isPinned(node) } : null;
+        }).filter(position => position);
+
+        const viewPosition = network.getViewPosition();
+        return {
+            version: 1,
+            positions: positions,
+            viewport: {
+                position: { x: round(viewPosition.x), y: round(viewPosition.y) },
+                scale: network.getScale()
+            },
+            savedAt: new Date().toISOString()
+        };
+    } catch (error) {
+        console.error('Error capturing layout:', error);
+        return null;
+    }
+}
+
+/**
+ * Restore a layout captured by getLayoutState
+ * Positions are applied to nodes already on the graph and to nodes added later (e.g. by loadData),
+ * physics is switched off so the arrangement stays exactly as saved, and the viewport is restored
+ * once the first saved node is placed. Can also be passed to initialize as options.savedLayout
+ */
+export function restoreLayout(containerId, layoutState) {
+    const instance = instances[containerId];
+    if (!instance) {
+        console.error('Network instance not found:', containerId);
+        return false;
+    }
+
+    try {
+        instance.savedLayout = prepareSavedLayout(layoutState);
+        if (instance.savedLayout) {
+            applySavedPositions(containerId, instance.nodes.getIds());
+        }
+        return true;
+    } catch (error) {
+        console.error('Error restoring layout:', error);
+        return false;
+    }
+}
+
+export function pinNodes(containerId, nodeIds, pinned) {
+    const instance = instances[containerId];
+    if (!instance) {
+        console.error('Network instance not found:', containerId);
+        return false;
+    }
+
+    try {
+        const pin = pinned !== false;
+        const positions = instance.network.getPositions(nodeIds);
+
+        // Pin at the current position so the node does not jump back to where it was added
+        instance.nodes.update(nodeIds.filter(nodeId => instance.nodes.get(nodeId)).map(nodeId => ({
+            id: nodeId,
+            ...(positions[nodeId] ? { x: positions[nodeId].x, y: positions[nodeId].y } : {}),
+            fixed: pin ? { x: true, y: true } : false
+        })));
+
+        scheduleLayoutSave(containerId);
+        return true;
+    } catch (error) {
+        console.error('Error pinning nodes:', error);
+        return false;
+    }
+}
+
+/**
+ * Send the layout to .NET whenever the user changes it
+ * options: { layoutKey, methodName: 'OnLayoutChanged', debounceMs: 1000 }
+ * .NET method receives (layoutKey, layoutState), e.g. layoutKey = customer or investigation id
+ */
+export function enableLayoutPersistence(containerId, dotNetHelper, options) {
+    try {
+        const instance = instances[containerId];
+        if (!instance) {
+            console.error('Network instance not found:', containerId);
+            return false;
+        }
+
+        disableLayoutPersistence(containerId);
+
+        const settings = options || {};
+        const save = () => scheduleLayoutSave(containerId);
+        instance.layoutPersistence = {
+            dotNetHelper: dotNetHelper || instance.dotNetRef,
+            layoutKey: settings.layoutKey || containerId,
+            methodName: settings.methodName || 'OnLayoutChanged',
+            debounceMs: settings.debounceMs !== undefined ? settings.debounceMs : 1000,
+            timer: null,
+            handler: save
+        };
+
+        ['dragEnd', 'zoom', 'stabilizationIterationsDone'].forEach(eventName => {
+            instance.network.on(eventName, save);
+        });
+
+        console.log('Layout persistence enabled:', containerId);
+        return true;
+    } catch (error) {
+        console.error('Error enabling layout persistence:', error);
+        return false;
+    }
+}
+
+export function disableLayoutPersistence(containerId) {
+    try {
+        const instance = instances[containerId];
+        if (!instance) {
+            console.error('Network instance not found:', containerId);
+            return false;
+        }
+
+        const persistence = instance.layoutPersistence;
+        if (persistence) {
+            clearTimeout(persistence.timer);
+            ['dragEnd', 'zoom', 'stabilizationIterationsDone'].forEach(eventName => {
+                instance.network.off(eventName, persistence.handler);
+            });
+            instance.layoutPersistence = null;
+        }
+
+        return true;
+    } catch (error) {
+        console.error('Error disabling layout persistence:', error);
+        return false;
+    }
+}
+
+function isPinned(node) {
+    return node.fixed === true || !!(node.fixed && node.fixed.x && node.fixed.y);
+}
+
+function prepareSavedLayout(layoutState) {
+    if (!layoutState || !Array.isArray(layoutState.positions)) {
+        return null;
+    }
+
+    // Ids come back from .NET as JSON, so match them as strings
+    const positions = new Map();
+    layoutState.positions.forEach(position => {
+        if (typeof position.x === 'number' && typeof position.y === 'number') {
+            positions.set(String(position.id), position);
+        }
+    });
+
+    return {
+        positions: positions,
+        viewport: layoutState.viewport || null,
+        viewportApplied: false
+    };
+}
+
+function applySavedPositions(containerId, nodeIds) {
+    const instance = instances[containerId];
+    if (!instance || !instance.savedLayout) {
+        return;
+    }
+
+    const savedLayout = instance.savedLayout;
+    const updates = nodeIds
+        .filter(nodeId => savedLayout.positions.has(String(nodeId)))
+        .map(nodeId => {
+            const position = savedLayout.positions.get(String(nodeId));
+            return {
+                id: nodeId,
+                x: position.x,
+                y: position.y,
+                fixed: position.pinned ? { x: true, y: true } : false
+            };
+        });
+
+    if (updates.length === 0) {
+        return;
+    }
+
+    instance.network.setOptions({ physics: false });
+    instance.nodes.update(updates);
+
+    const viewport = savedLayout.viewport;
+    if (viewport && !savedLayout.viewportApplied) {
+        savedLayout.viewportApplied = true;
+        instance.network.moveTo({
+            position: viewport.position,
+            scale: viewport.scale
+        });
+    }
+}
+
+function scheduleLayoutSave(containerId) {
+    const instance = instances[containerId];
+    const persistence = instance && instance.layoutPersistence;
+    if (!persistence || !persistence.dotNetHelper) {
+        return;
+    }
+
+    clearTimeout(persistence.timer);
+    persistence.timer = setTimeout(() => {
+        const layoutState = getLayoutState(containerId);
+        if (layoutState) {
+            persistence.dotNetHelper.invokeMethodAsync(persistence.methodName, persistence.layoutKey, layoutState)
+                .catch(error => console.error('Error saving layout:', error));
+        }
+    }, persistence.debounceMs);
+}
+
+function createVisNode(node, tooltipOptions) {
+    return {
+        id: node.id,
+        label: node.label,
+        title: createNodeTooltip(node, tooltipOptions),
+        color: getNodeColor(node),
+        size: getNodeSize(node),
+        font: {
+            color: node.nodeType === 'customer' ? '#ffffff' : '#343a40'
+        },
+        borderWidth: node.isBeneficialOwner ? 4 : 2,
+        borderWidthSelected: node.isBeneficialOwner ? 6 : 3,
+        // Domain attributes kept for graph analytics
+        nodeType: node.nodeType,
+        tier: node.tier,
+        status: node.status,
+        totalValue: node.totalValue,
+        isBeneficialOwner: node.isBeneficialOwner,
+        isNaturalPerson: isNaturalPerson(node),
+        // Risk attributes used by the risk overlay
+        isPep: node.isPep,
+        hasSanctionsHit: node.hasSanctionsHit,
+        hasAdverseMedia: node.hasAdverseMedia,
+        kycExpiryDate: node.kycExpiryDate,
+        countryRisk: node.countryRisk,
+        riskScore: node.riskScore,
+        // Validity interval for the temporal view
+        validFrom: node.validFrom,
+        validTo: node.validTo,
+        // Original payload, used to re-render tooltip templates
+        properties: node
+    };
+}
+
+function createVisEdge(edge, tooltipOptions) {
+    return {
+        from: edge.from,
+        to: edge.to,
+        label: edge.label,
+        title: createEdgeTooltip(edge, tooltipOptions),
+        width: edge.isBeneficialOwner ? 3 : 2,
+        color: edge.isBeneficialOwner ? 
+            { color: '#dc2626', highlight: '#b91c1c' } : 
+            { color: '#848484', highlight: '#3b82f6' },
+        // Domain attributes kept for graph analytics
+        ownershipPercentage: edge.ownershipPercentage,
+        transactionValue: edge.transactionValue,
+        isBeneficialOwner: edge.isBeneficialOwner,
+        // Validity interval for the temporal view
+        validFrom: edge.validFrom,
+        validTo: edge.validTo,
+        // Original payload, used to re-render tooltip templates
+        properties: edge
+    };
+}
+
+function getNodeColor(node) {
+    // Color based on node type and properties
+    if (node.nodeType === 'customer') {
+        // Main customer - blue gradient
+        return {
+            background: '#3b82f6',
+            border: '#2563eb',
+            highlight: {
+                background: '#2563eb',
+                border: '#1d4ed8'
+            }
+        };
+    } else if (node.isBeneficialOwner) {
+        // Beneficial owner - red gradient
+        return {
+            background: '#dc2626',
+            border: '#b91c1c',
+            highlight: {
+                background: '#b91c1c',
+                border: '#991b1b'
+            }
+        };
+    } else if (node.tier === 'PLATINUM' || node.tier === 'GOLD') {
+        // High-value customer - gold gradient
+        return {
+            background: '#f59e0b',
+            border: '#d97706',
+            highlight: {
+                background: '#d97706',
+                border: '#b45309'
+            }
+        };
+    } else {
+        // Regular related entity - gray gradient
+        return {
+            background: '#6b7280',
+            border: '#4b5563',
+            highlight: {
+                background: '#4b5563',
+                border: '#374151'
+            }
+        };
+    }
+}
+
+function getNodeSize(node) {
+    // Size based on total value or importance
+    const baseSize = 16;
+    const maxSize = 40;
+
+    if (node.nodeType === 'customer') {
+        return baseSize + 10; // Main customer is larger
+    }
+
+    if (node.totalValue && node.totalValue > 0) {
+        // Scale size based on value (logarithmic)
+        const valueScale = Math.log10(node.totalValue + 1) * 3;
+        return Math.min(baseSize + valueScale, maxSize);
+    }
+
+    return baseSize;
+}
+
+function isNaturalPerson(node) {
+    // Explicit flag from .NET wins; otherwise infer from the entity type
+    if (typeof node.isNaturalPerson === 'boolean') {
+        return node.isNaturalPerson;
+    }
+
+    const entityType = (node.entityType || node.nodeType || '').toString().toLowerCase();
+    return entityType === 'individual' || entityType === 'person' || entityType === 'natural_person';
+}
+
+const tooltipTemplates = {
+    node: '<div style="padding: 8px;">' +
+        '<div style="font-weight: bold; margin-bottom: 4px;">{{label}}</div>' +
+        '{{#tier}}<div>Tier: <span style="font-weight: bold;">{{tier}}</span></div>{{/tier}}' +
+        '{{#status}}<div>Status: {{status}}</div>{{/status}}' +
+        '{{#totalValue}}<div>Value: {{totalValue|currency}}</div>{{/totalValue}}' +
+        '{{#isBeneficialOwner}}<div style="color: #dc2626; font-weight: bold;">⚠ Beneficial Owner</div>{{/isBeneficialOwner}}' +
+        '</div>',
+    edge: '<div style="padding: 8px;">' +
+        '<div style="font-weight: bold; margin-bottom: 4px;">{{label}}</div>' +
+        '{{#ownershipPercentage}}<div>Ownership: {{ownershipPercentage|percent}}</div>{{/ownershipPercentage}}' +
+        '{{#isBeneficialOwner}}<div style="color: #dc2626; font-weight: bold;">Beneficial Ownership</div>{{/isBeneficialOwner}}' +
+        '</div>'
+};
+
+function getDefaultTooltipOptions() {
+    // nodeTemplates are keyed by nodeType ('default' applies to any other type)
+    return {
+        currency: 'USD',
+        locale: undefined,
+        nodeTemplates: {},
+        edgeTemplates: {}
+    };
+}
+
+// .NET sends unset properties as null; those keep their defaults instead of replacing them
+function createTooltipOptions(tooltipOptions) {
+    const settings = getDefaultTooltipOptions();
+    Object.entries(tooltipOptions || {}).forEach(([key, value]) => {
+        if (value !== undefined && value !== null) {
+            settings[key] = value;
+        }
+    });
+    return settings;
+}
+
+export function setTooltipOptions(containerId, tooltipOptions) {
+    try {
+        const instance = instances[containerId];
+        if (!instance) {
+            console.error('Network instance not found:', containerId);
+            return false;
+        }
+
+        instance.tooltipOptions = createTooltipOptions(tooltipOptions);
+
+        // Re-render existing tooltips with the new currency, locale and templates
+        instance.nodes.update(instance.nodes.get().map(node => ({
+            id: node.id,
+            title: createNodeTooltip(node.properties || node, instance.tooltipOptions)
+        })));
+        instance.edges.update(instance.edges.get().map(edge => ({
+            id: edge.id,
+            title: createEdgeTooltip(edge.properties || edge, instance.tooltipOptions)
+        })));
+
+        return true;
+    } catch (error) {
+        console.error('Error setting tooltip options:', error);
+        return false;
+    }
+}
+
+function createNodeTooltip(node, tooltipOptions) {
+    const settings = tooltipOptions || getDefaultTooltipOptions();
+    const template = settings.nodeTemplates[node.nodeType] ||
+        settings.nodeTemplates.default ||
+        tooltipTemplates.node;
+
+    return createTooltipElement(renderTemplate(template, node, settings));
+}
+
+function createEdgeTooltip(edge, tooltipOptions) {
+    const settings = tooltipOptions || getDefaultTooltipOptions();
+    const template = settings.edgeTemplates[edge.label] ||
+        settings.edgeTemplates.default ||
+        tooltipTemplates.edge;
+
+    return createTooltipElement(renderTemplate(template, edge, settings));
+}
+
+function createTooltipElement(html) {
+    // vis-network shows string titles as plain text, so hand it an element instead
+    const element = document.createElement('div');
+    element.innerHTML = html;
+    return element;
+}
+
+function renderTemplate(template, data, settings) {
+    // {{#field}}...{{/field}} renders when the field is set, {{^field}}...{{/field}} when it is not;
+    // {{field}} or {{field|format}} inserts a value, escaped before it reaches the markup.
+    // One pass over the template, so inserted values are never scanned for tags themselves
+    const tags = /\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}|\{\{\s*(\w+)(?:\|(\w+))?\s*\}\}/g;
+    return template.replace(tags, (match, kind, sectionField, inner, field, format) => {
+        if (kind) {
+            const value = data[sectionField];
+            const isSet = value !== undefined && value !== null && value !== '' && value !== false && value !== 0;
+            return isSet === (kind === '#') ? renderTemplate(inner, data, settings) : '';
+        }
+        return escapeHtml(formatTooltipValue(data[field], format, settings));
+    });
+}
+
+function formatTooltipValue(value, format, settings) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+
+    try {
+        switch (format) {
+            case 'currency':
+                return new Intl.NumberFormat(settings.locale, {
+                    style: 'currency',
+                    currency: settings.currency
+                }).format(Number(value));
+            case 'number':
+                return new Intl.NumberFormat(settings.locale).format(Number(value));
+            case 'percent':
+                return new Intl.NumberFormat(settings.locale, {
+                    style: 'percent',
+                    maximumFractionDigits: 2
+                }).format(Number(value) / 100);
+            case 'date':
+                return new Date(value).toLocaleDateString(settings.locale);
+            default:
+                return String(value);
+        }
+    } catch (error) {
+        // An unknown currency code or locale falls back to plain formatting rather than failing the whole tooltip
+        const number = Number(value);
+        if (format === 'date' || !Number.isFinite(number)) {
+            return String(value);
+        }
+        if (format === 'currency') {
+            return `${settings.currency} ${number.toLocaleString()}`;
+        }
+        return format === 'percent' ? `${number.toLocaleString()}%` : number.toLocaleString();
+    }
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+export function addEventListener(containerId, eventName, dotNetHelper, methodName) {
+    try {
+        const instance = instances[containerId];
+        if (!instance) {
+            console.error('Network instance not found:', containerId);
+            return false;
+        }
+
+        instance.network.on(eventName, function (params) {
+            if (params.nodes && params.nodes.length > 0) {
+                const nodeId = params.nodes[0];
+                dotNetHelper.invokeMethodAsync(methodName, nodeId);
+            }
+        });
+
+        console.log('Event listener added:', eventName);
+        return true;
+    } catch (error) {
+        console.error('Error adding event listener:', error);
+        return false;
+    }
+}
+
+/**
+ * Enable context menus, edge callbacks, multi-select and keyboard shortcuts
+ * options: {
+ *   contextMenu: {
+ *     node: { default: [actions], customer: [actions], ... },   // keyed by nodeType/group
+ *     edge: { default: [actions], Owns: [actions], ... },       // keyed by edgeType/label
+ *     canvas: [actions]
+ *   },
+ *   multiSelect: true,                                  // ctrl/cmd-click, shift-drag box select
+ *   shortcuts: { 'ctrl+o': 'open-customer', 'delete': 'flag-for-review' },
+ *   methods: { action, edgeClick, edgeHover, selectionChanged }
+ * }
+ * action: { id, label, disabled, separator }
+ * .NET callbacks:
+ *   OnContextMenuAction(actionId, targetType, targetIds) - menu items and shortcuts
+ *   OnEdgeClicked(edgeId, fromId, toId)
+ *   OnEdgeHovered(edgeId, fromId, toId)
+ *   OnSelectionChanged(nodeIds, edgeIds)
+ */
+export function enableInteractions(containerId, dotNetHelper, options) {
+    try {
+        const instance = instances[containerId];
+        if (!instance) {
+            console.error('Network instance not found:', containerId);
+            return false;
+        }
+
+        const container = document.getElementById(containerId);
+        if (!container) {
+            console.error('Container not found:', containerId);
+            return false;
+        }
+
+        disableInteractions(containerId);
+
+        const settings = options || {};
+        const interactions = {
+            dotNetHelper: dotNetHelper || instance.dotNetRef,
+            menus: settings.contextMenu || {},
+            shortcuts: normalizeShortcuts(settings.shortcuts),
+            methods: {
+                action: 'OnContextMenuAction',
+                edgeClick: 'OnEdgeClicked',
+                edgeHover: 'OnEdgeHovered',
+                selectionChanged: 'OnSelectionChanged',
+                ...settings.methods
+            },
+            multiSelect: settings.multiSelect !== false,
+            networkHandlers: {},
+            domHandlers: [],
+            menu: null,
+            box: null,
+            lastSelection: ''
+        };
+        instance.interactions = interactions;
+
+        const onNetwork = (eventName, handler) => {
+            interactions.networkHandlers[eventName] = handler;
+            instance.network.on(eventName, handler);
+        };
+        const onDom = (target, eventName, handler, capture) => {
+            interactions.domHandlers.push([target, eventName, handler, capture || false]);
+            target.addEventListener(eventName, handler, capture || false);
+        };
+
+        // Edge callbacks; node clicks keep going through initialize
+        onNetwork('click', params => {
+            hideContextMenu(containerId);
+            if (params.nodes.length === 0 && params.edges.length > 0) {
+                const edge = instance.edges.get(params.edges[0]);
+                if (edge) {
+                    notifyInteraction(instance, interactions.methods.edgeClick, edge.id, edge.from, edge.to);
+                }
+            }
+        });
+
+        onNetwork('hoverEdge', params => {
+            const edge = instance.edges.get(params.edge);
+            if (edge) {
+                container.style.cursor = 'pointer';
+                notifyInteraction(instance, interactions.methods.edgeHover, edge.id, edge.from, edge.to);
+            }
+        });
+
+        onNetwork('blurEdge', () => {
+            container.style.cursor = 'default';
+        });
+
+        onNetwork('select', () => notifySelectionChanged(containerId));
+        onNetwork('dragStart', () => hideContextMenu(containerId));
+        onNetwork('zoom', () => hideContextMenu(containerId));
+
+        onNetwork('oncontext', params => {
+            params.event.preventDefault();
+            openContextMenuAt(containerId, params.pointer.DOM);
+        });
+
+        if (interactions.multiSelect) {
+            instance.network.setOptions({ interaction: { multiselect: true } });
+            enableBoxSelection(containerId, container, onDom);
+        }
+
+        // Keyboard shortcuts need the container to be focusable
+        if (!container.hasAttribute('tabindex')) {
+            container.setAttribute('tabindex', '0');
+        }
+        onDom(container, 'keydown', event => handleShortcut(containerId, event));
+
+        // Close the menu when clicking anywhere else on the page
+        onDom(document, 'mousedown', event => {
+            if (interactions.menu && !interactions.menu.contains(event.target)) {
+                hideContextMenu(containerId);
+            }
+        });
+
+        console.log('Graph interactions enabled:', containerId);
+        return true;
+    } catch (error) {
+        console.error('Error enabling graph interactions:', error);
+        return false;
+    }
+}
+
+export function disableInteractions(containerId) {
+    try {
+        const instance = instances[containerId];
+        if (!instance) {
+            console.error('Network instance not found:', containerId);
+            return false;
+        }
+
+        const interactions = instance.interactions;
+        if (interactions) {
+            hideContextMenu(containerId);
+            Object.entries(interactions.networkHandlers).forEach(([eventName, handler]) => {
+                instance.network.off(eventName, handler);
+            });
+            interactions.domHandlers.forEach(([target, eventName, handler, capture]) => {
+                target.removeEventListener(eventName, handler, capture);
+            });
+            if (interactions.box) {
+                interactions.box.element.remove();
+            }
+            instance.interactions = null;
+        }
+
+        return true;
+    } catch (error) {
+        console.error('Error disabling graph interactions:', error);
+        return false;
+    }
+}
+
+// Replace the context menu actions, e.g. after the user's permissions change
+export function setContextMenu(containerId, menus) {
+    const instance = instances[containerId];
+    if (!instance || !instance.interactions) {
+        console.error('Graph interactions not enabled:', containerId);
+        return false;
+    }
+
+    instance.interactions.menus = menus || {};
+    hideContextMenu(containerId);
+    return true;
+}
+
+export function getSelection(containerId) {
+    const instance = instances[containerId];
+    if (!instance) {
+        console.error('Network instance not found:', containerId);
+        return null;
+    }
+
+    return {
+        nodes: instance.network.getSelectedNodes(),
+        edges: instance.network.getSelectedEdges()
+    };
+}
+
+function notifyInteraction(instance, methodName, ...args) {
+    const dotNetHelper = instance.interactions && instance.interactions.dotNetHelper;
+    if (!dotNetHelper || !methodName) {
+        return;
+    }
+
+    dotNetHelper.invokeMethodAsync(methodName, ...args).catch(error => {
+        console.error('Error invoking ' + methodName + ':', error);
+    });
+}
+
+// Only report the selection when it actually changed
+function notifySelectionChanged(containerId) {
+    const instance = instances[containerId];
+    if (!instance || !instance.interactions) {
+        return;
+    }
+
+    const selection = getSelection(containerId);
+    const key = JSON.stringify(selection);
+    if (key === instance.interactions.lastSelection) {
+        return;
+    }
+
+    instance.interactions.lastSelection = key;
+    notifyInteraction(instance, instance.interactions.methods.selectionChanged, selection.nodes, selection.edges);
+}
+
+function getNodeMenuType(node) {
+    const properties = node.properties || {};
+    return node.nodeType || properties.nodeType || properties.type || node.group;
+}
+
+function getEdgeMenuType(edge) {
+    const properties = edge.properties || {};
+    return edge.edgeType || properties.edgeType || properties.type || edge.label;
+}
+
+function getMenuActions(menus, targetType, itemType) {
+    if (targetType === 'canvas') {
+        return menus.canvas || [];
+    }
+
+    const byType = menus[targetType] || {};
+    return (itemType && byType[itemType]) || byType.default || [];
+}
+
+function openContextMenuAt(containerId, point) {
+    const instance = instances[containerId];
+    const network = instance.network;
+    const nodeId = network.getNodeAt(point);
+    const edgeId = nodeId === undefined ? network.getEdgeAt(point) : undefined;
+
+    let target;
+    if (nodeId !== undefined) {
+        // Right-clicking inside a multi-selection acts on the whole selection
+        const selected = network.getSelectedNodes();
+        if (!selected.includes(nodeId)) {
+            network.selectNodes([nodeId]);
+            notifySelectionChanged(containerId);
+        }
+        const node = instance.nodes.get(nodeId);
+        target = {
+            type: 'node',
+            ids: selected.includes(nodeId) ? selected : [nodeId],
+            itemType: node ? getNodeMenuType(node) : null
+        };
+    } else if (edgeId !== undefined) {
+        network.selectEdges([edgeId]);
+        notifySelectionChanged(containerId);
+        const edge = instance.edges.get(edgeId);
+        target = { type: 'edge', ids: [edgeId], itemType: edge ? getEdgeMenuType(edge) : null };
+    } else {
+        target = { type: 'canvas', ids: [], itemType: null };
+    }
+
+    showContextMenu(containerId, point, target);
+}
+
+function showContextMenu(containerId, point, target) {
+    hideContextMenu(containerId);
+
+    const instance = instances[containerId];
+    const container = document.getElementById(containerId);
+    const actions = getMenuActions(instance.interactions.menus, target.type, target.itemType);
+    if (!container || actions.length === 0) {
+        return;
+    }
+
+    if (getComputedStyle(container).position === 'static') {
+        container.style.position = 'relative';
+    }
+
+    const menu = document.createElement('div');
+    menu.className = 'network-context-menu';
+    menu.setAttribute('role', 'menu');
+    menu.style.cssText = `position: absolute; left: ${point.x}px; top: ${point.y}px; z-index: 20; min-width: 160px; padding: 4px 0; ` +
+        'background: #ffffff; border: 1px solid #dee2e6; border-radius: 4px; box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15); font-size: 13px;';
+
+    actions.forEach(action => {
+        if (action.separator) {
+            const separator = document.createElement('div');
+            separator.setAttribute('role', 'separator');
+            separator.style.cssText = 'margin: 4px 0; border-top: 1px solid #e5e7eb;';
+            menu.appendChild(separator);
+            return;
+        }
+
+        const item = document.createElement('button');
+        item.type = 'button';
+        item.setAttribute('role', 'menuitem');
+        item.textContent = action.label || action.id;
+        item.disabled = !!action.disabled;
+        item.style.cssText = 'display: block; width: 100%; padding: 6px 12px; border: none; background: none; text-align: left; ' +
+            `cursor: ${action.disabled ? 'default' : 'pointer'}; color: ${action.disabled ? '#9ca3af' : '#343a40'};`;
+        item.addEventListener('mouseenter', () => { if (!action.disabled) item.style.background = '#f3f4f6'; });
+        item.addEventListener('mouseleave', () => { item.style.background = 'none'; });
+        item.addEventListener('click', () => {
+            hideContextMenu(containerId);
+            notifyInteraction(instance, instance.interactions.methods.action, action.id, target.type, target.ids);
+        });
+        menu.appendChild(item);
+    });
+
+    menu.addEventListener('keydown', event => {
+        const items = [...menu.querySelectorAll('button:not([disabled])')];
+        const index = items.indexOf(document.activeElement);
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            event.preventDefault();
+            const step = event.key === 'ArrowDown' ? 1 : -1;
+            const next = items[(index + step + items.length) % items.length];
+            if (next) next.focus();
+        } else if (event.key === 'Escape') {
+            event.stopPropagation();
+            hideContextMenu(containerId);
+            container.focus();
+        }
+    });
+
+    container.appendChild(menu);
+    instance.interactions.menu = menu;
+
+    // Keep the menu inside the graph area
+    const overflowX = point.x + menu.offsetWidth - container.clientWidth;
+    const overflowY = point.y + menu.offsetHeight - container.clientHeight;
+    if (overflowX > 0) menu.style.left = Math.max(point.x - overflowX, 0) + 'px';
+    if (overflowY > 0) menu.style.top = Math.max(point.y - overflowY, 0) + 'px';
+
+    const first = menu.querySelector('button:not([disabled])');
+    if (first) first.focus();
+}
+
+function hideContextMenu(containerId) {
+    const instance = instances[containerId];
+    if (instance && instance.interactions && instance.interactions.menu) {
+        instance.interactions.menu.remove();
+        instance.interactions.menu = null;
+    }
+}
+
+// 'Ctrl+Shift+O' and 'cmd+shift+o' both become 'ctrl+shift+o'
+function normalizeShortcut(combo) {
+    const parts = String(combo).toLowerCase().split('+').map(part => part.trim()).filter(part => part);
+    const key = parts.pop();
+    const modifiers = new Set(parts.map(part => (part === 'cmd' || part === 'meta' || part === 'control') ? 'ctrl' : part));
+    return ['ctrl', 'alt', 'shift'].filter(modifier => modifiers.has(modifier)).concat(key).join('+');
+}
+
+function normalizeShortcuts(shortcuts) {
+    const normalized = {};
+    Object.entries(shortcuts || {}).forEach(([combo, actionId]) => {
+        normalized[normalizeShortcut(combo)] = actionId;
+    });
+    return normalized;
+}
+
+function getEventShortcut(event) {
+    const parts = [];
+    if (event.ctrlKey || event.metaKey) parts.push('ctrl');
+    if (event.altKey) parts.push('alt');
+    if (event.shiftKey) parts.push('shift');
+    parts.push(event.key.toLowerCase());
+    return parts.join('+');
+}
+
+function handleShortcut(containerId, event) {
+    const instance = instances[containerId];
+    if (!instance || !instance.interactions || event.target.closest('.network-context-menu')) {
+        return;
+    }
+
+    const interactions = instance.interactions;
+    const network = instance.network;
+    const combo = getEventShortcut(event);
+    const actionId = interactions.shortcuts[combo];
+
+    if (actionId) {
+        event.preventDefault();
+        const selection = getSelection(containerId);
+        const targetType = selection.nodes.length > 0 ? 'node' : selection.edges.length > 0 ? 'edge' : 'canvas';
+        const targetIds = targetType === 'node' ? selection.nodes : targetType === 'edge' ? selection.edges : [];
+        notifyInteraction(instance, interactions.methods.action, actionId, targetType, targetIds);
+        return;
+    }
+
+    switch (combo) {
+        case 'escape':
+            if (interactions.menu) {
+                hideContextMenu(containerId);
+            } else {
+                network.unselectAll();
+                notifySelectionChanged(containerId);
+            }
+            break;
+        case 'ctrl+a':
+            event.preventDefault();
+            network.selectNodes(instance.nodesView.getIds());
+            notifySelectionChanged(containerId);
+            break;
+        case 'contextmenu':
+        case 'shift+f10': {
+            // Keyboard access to the context menu of the selected node
+            event.preventDefault();
+            const nodeId = network.getSelectedNodes()[0];
+            if (nodeId !== undefined) {
+                const point = network.canvasToDOM(network.getPositions([nodeId])[nodeId]);
+                openContextMenuAt(containerId, point);
+            }
+            break;
+        }
+    }
+}
+
+// Shift-drag on empty canvas draws a selection rectangle
+function enableBoxSelection(containerId, container, onDom) {
+    const instance = instances[containerId];
+    const interactions = instance.interactions;
+
+    const toLocal = event => {
+        const rect = container.getBoundingClientRect();
+        return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+    };
+
+    onDom(container, 'mousedown', event => {
+        if (!event.shiftKey || event.button !== 0) {
+            return;
+        }
+
+        const start = toLocal(event);
+        if (instance.network.getNodeAt(start) !== undefined) {
+            return;
+        }
+
+        // Stop vis.js from panning while the rectangle is drawn
+        instance.network.setOptions({ interaction: { dragView: false } });
+
+        const element = document.createElement('div');
+        element.className = 'network-selection-box';
+        element.style.cssText = 'position: absolute; z-index: 15; pointer-events: none; ' +
+            'border: 1px dashed #3b82f6; background: rgba(59, 130, 246, 0.1);';
+        if (getComputedStyle(container).position === 'static') {
+            container.style.position = 'relative';
+        }
+        container.appendChild(element);
+        interactions.box = { start: start, end: start, element: element };
+        updateSelectionBox(interactions.box);
+    }, true);
+
+    onDom(document, 'mousemove', event => {
+        if (interactions.box) {
+            interactions.box.end = toLocal(event);
+            updateSelectionBox(interactions.box);
+        }
+    });
+
+    onDom(document, 'mouseup', event => {
+        const box = interactions.box;
+        if (!box) {
+            return;
+        }
+
+        box.element.remove();
+        interactions.box = null;
+        instance.network.setOptions({ interaction: { dragView: true } });
+
+        const left = Math.min(box.start.x, box.end.x);
+        const right = Math.max(box.start.x, box.end.x);
+        const top = Math.min(box.start.y, box.end.y);
+        const bottom = Math.max(box.start.y, box.end.y);
+
+        const nodeIds = instance.nodesView.getIds();
+        const positions = instance.network.getPositions(nodeIds);
+        const inside = nodeIds.filter(nodeId => {
+            if (!positions[nodeId]) return false;
+            const point = instance.network.canvasToDOM(positions[nodeId]);
+            return point.x >= left && point.x <= right && point.y >= top && point.y <= bottom;
+        });
+
+        // Ctrl/cmd adds to the current selection
+        const selected = (event.ctrlKey || event.metaKey) ? instance.network.getSelectedNodes() : [];
+        instance.network.selectNodes([...new Set([...selected, ...inside])]);
+        notifySelectionChanged(containerId);
+    });
+}
+
+function updateSelectionBox(box) {
+    box.element.style.left = Math.min(box.start.x, box.end.x) + 'px';
+    box.element.style.top = Math.min(box.start.y, box.end.y) + 'px';
+    box.element.style.width = Math.abs(box.end.x - box.start.x) + 'px';
+    box.element.style.height = Math.abs(box.end.y - box.start.y) + 'px';
+}
+
+export function enableExpansion(containerId, dotNetHelper, methodName, options) {
+    try {
+        const instance = instances[containerId];
+        if (!instance) {
+            console.error('Network instance not found:', containerId);
+            return false;
+        }
+
+        disableExpansion(containerId);
+
+        // .NET method receives (nodeId, depth) and returns { nodes, edges } for the neighbours
+        instance.expansion = {
+            dotNetHelper: dotNetHelper,
+            methodName: methodName || 'GetNodeNeighbours',
+            maxDepth: (options && options.maxDepth) || 3,
+            handler: (params) => {
+                if (params.nodes && params.nodes.length > 0) {
+                    expandNode(containerId, params.nodes[0]);
+                }
+            }
+        };
+        instance.expandedNodes = instance.expandedNodes || new Set();
+        instance.network.on('doubleClick', instance.expansion.handler);
+
+        console.log('Node expansion enabled:', containerId);
+        return true;
+    } catch (error) {
+        console.error('Error enabling node expansion:', error);
+        return false;
+    }
+}
+
+export function disableExpansion(containerId) {
+    try {
+        const instance = instances[containerId];
+        if (!instance) {
+            console.error('Network instance not found:', containerId);
+            return false;
+        }
+
+        if (instance.expansion) {
+            instance.network.off('doubleClick', instance.expansion.handler);
+            instance.expansion = null;
+        }
+
+        return true;
+    } catch (error) {
+        console.error('Error disabling node expansion:', error);
+        return false;
+    }
+}
+
+export async function expandNode(containerId, nodeId) {
+    try {
+        const instance = instances[containerId];
+        if (!instance || !instance.expansion) {
+            console.error('Node expansion not enabled:', containerId);
+            return false;
+        }
+
+        const node = instance.nodes.get(nodeId);
+        if (!node) {
+            return false;
+        }
+
+        // Double-clicking an expanded node folds its neighbourhood back in
+        if (instance.expandedNodes.has(nodeId)) {
+            return collapseNode(containerId, nodeId);
+        }
+
+        const depth = (node.expansionDepth || 0) + 1;
+        if (depth > instance.expansion.maxDepth) {
+            console.warn('Maximum expansion depth reached:', nodeId);
+            return false;
+        }
+
+        const { dotNetHelper, methodName } = instance.expansion;
+        const graphData = await dotNetHelper.invokeMethodAsync(methodName, nodeId, depth);
+        if (!graphData) {
+            return false;
+        }
+
+        return mergeData(containerId, graphData, nodeId) !== null;
+    } catch (error) {
+        console.error('Error expanding node:', error);
+        return false;
+    }
+}
+
+export function mergeData(containerId, graphData, parentId) {
+    try {
+        const instance = instances[containerId];
+        if (!instance) {
+            console.error('Network instance not found:', containerId);
+            return null;
+        }
+
+        const parent = instance.nodes.get(parentId);
+        const depth = parent ? (parent.expansionDepth || 0) + 1 : 0;
+
+        // Seed new nodes in a ring around the parent so the existing layout does not jump
+        const newNodes = (graphData.nodes || []).filter(node => !instance.nodes.get(node.id));
+        const origin = parent ? instance.network.getPositions([parentId])[parentId] : null;
+        const radius = 150;
+
+        const nodes = newNodes.map((node, index) => {
+            const visNode = {
+                ...createVisNode(node, instance.tooltipOptions),
+                expansionDepth: depth,
+                expandedFrom: parentId
+            };
+
+            if (origin) {
+                const angle = (2 * Math.PI * index) / newNodes.length;
+                visNode.x = origin.x + radius * Math.cos(angle);
+                visNode.y = origin.y + radius * Math.sin(angle);
+            }
+
+            return visNode;
+        });
+
+        // Skip edges already on the graph (same endpoints and label)
+        const edgeKey = edge => edge.from + '|' + edge.to + '|' + (edge.label || '');
+        const existingEdges = new Set(instance.edges.get().map(edgeKey));
+        const edges = (graphData.edges || [])
+            .filter(edge => !existingEdges.has(edgeKey(edge)))
+            .map(edge => ({
+                ...createVisEdge(edge, instance.tooltipOptions),
+                expandedFrom: parentId
+            }));
+
+        instance.nodes.add(nodes);
+        instance.edges.add(edges);
+
+        if (parent) {
+            instance.expandedNodes.add(parentId);
+        }
+
+        console.log('Network data merged:', nodes.length, 'nodes,', edges.length, 'edges');
+        return {
+            addedNodes: nodes.map(node => node.id),
+            addedEdges: edges.length
+        };
+    } catch (error) {
+        console.error('Error merging network data:', error);
+        return null;
+    }
+}
+
+export function collapseNode(containerId, nodeId) {
+    try {
+        const instance = instances[containerId];
+        if (!instance) {
+            console.error('Network instance not found:', containerId);
+            return false;
+        }
+
+        // Everything revealed from this node, including nested expansions
+        const collapsed = new Set([nodeId]);
+        let grew = true;
+        while (grew) {
+            grew = false;
+            instance.nodes.forEach(node => {
+                if (!collapsed.has(node.id) && collapsed.has(node.expandedFrom)) {
+                    collapsed.add(node.id);
+                    grew = true;
+                }
+            });
+        }
+        collapsed.delete(nodeId);
+
+        const edgeIds = instance.edges.get({
+            filter: edge => collapsed.has(edge.from) || collapsed.has(edge.to) ||
+                edge.expandedFrom === nodeId || collapsed.has(edge.expandedFrom)
+        }).map(edge => edge.id);
+
+        instance.edges.remove(edgeIds);
+        instance.nodes.remove([...collapsed]);
+
+        instance.expandedNodes.delete(nodeId);
+        collapsed.forEach(id => instance.expandedNodes.delete(id));
+
+        console.log('Node collapsed:', nodeId, collapsed.size, 'nodes removed');
+        return true;
+    } catch (error) {
+        console.error('Error collapsing node:', error);
+        return false;
+    }
+}
+
+export function focusNode(containerId, nodeId) {
+    try {
+        const instance = instances[containerId];
+        if (!instance) {
+            console.error('Network instance not found:', containerId);
+            return false;
+        }
+
+        instance.network.focus(nodeId, {
+            scale: 1.5,
+            animation: {
+                duration: 1000,
+                easingFunction: 'easeInOutQuad'
+            }
+        });
+
+        // Select the node
+        instance.network.selectNodes([nodeId]);
+
+        return true;
+    } catch (error) {
+        console.error('Error focusing node:', error);
+        return false;
+    }
+}
+
+/**
+ * Find nodes by name, id, registration or account number (requires graph-search.js)
+ * options: { limit: 10, fuzzy: true, minScore: 0.3, fields }
+ * Returns ranked matches [{ nodeId, label, score, field, value, matchType, hidden }];
+ * hidden is true for nodes the current filters or time point leave out
+ */
+export function searchNodes(containerId, query, options) {
+    const instance = instances[containerId];
+    if (!instance) {
+        console.error('Network instance not found:', containerId);
+        return [];
+    }
+
+    try {
+        const index = window.graphSearch.buildIndex(instance.nodes.get(), options);
+        return window.graphSearch.search(index, query, options).map(match => ({
+            ...match,
+            hidden: !instance.nodesView.get(match.nodeId)
+        }));
+    } catch (error) {
+        console.error('Error searching nodes:', error);
+        return [];
+    }
+}
+
+// Focus and pulse a search hit, opening any cluster it is folded into
+export function focusSearchResult(containerId, nodeId) {
+    try {
+        const instance = instances[containerId];
+        if (!instance) {
+            console.error('Network instance not found:', containerId);
+            return false;
+        }
+
+        if (!instance.nodesView.get(nodeId)) {
+            console.warn('Node is hidden by the current filters:', nodeId);
+            return false;
+        }
+
+        const path = instance.network.findNode(nodeId) || [];
+        path.slice(0, -1).forEach(clusterId => {
+            if (instance.network.isCluster(clusterId)) {
+                instance.network.openCluster(clusterId);
+            }
+        });
+
+        focusNode(containerId, nodeId);
+        window.graphSearch.pulse(instance.network, nodeId);
+        return true;
+    } catch (error) {
+        console.error('Error focusing search result:', error);
+        return false;
+    }
+}
+
+/**
+ * Add autocomplete to a search input; picking a suggestion focuses the node
+ * options: searchNodes options plus { methodName } to also report the pick to dotNetRef
+ */
+export function attachSearchBox(containerId, inputId, options) {
+    try {
+        const instance = instances[containerId];
+        if (!instance) {
+            console.error('Network instance not found:', containerId);
+            return false;
+        }
+
+        const input = document.getElementById(inputId);
+        if (!input) {
+            console.error('Search input not found:', inputId);
+            return false;
+        }
+
+        detachSearchBox(containerId);
+
+        const settings = options || {};
+        instance.searchBox = window.graphSearch.attachAutocomplete(
+            input,
+            query => searchNodes(containerId, query, settings),
+            match => {
+                focusSearchResult(containerId, match.nodeId);
+                if (settings.methodName && instance.dotNetRef) {
+                    instance.dotNetRef.invokeMethodAsync(settings.methodName, match.nodeId).catch(error => {
+                        console.error('Error invoking ' + settings.methodName + ':', error);
+                    });
+                }
+            },
+            settings
+        );
+
+        return true;
+    } catch (error) {
+        console.error('Error attaching search box:', error);
+        return false;
+    }
+}
+
+export function detachSearchBox(containerId) {
+    const instance = instances[containerId];
+    if (instance && instance.searchBox) {
+        instance.searchBox.detach();
+        instance.searchBox = null;
+    }
+    return true;
+}
+
+/**
+ * Show an overview of the whole graph in a corner panel with a draggable viewport rectangle
+ * (requires graph-export.js and graph-minimap.js). Use position 'topleft' or 'topright' when the
+ * timeline slider is shown, so the panel does not cover it.
+ * options: { position, width, height, collapsed, viewportColor, viewportFill, strings }
+ */
+export function addMiniMap(containerId, options) {
+    try {
+        const instance = instances[containerId];
+        if (!instance) {
+            console.error('Network instance not found:', containerId);
+            return false;
+        }
+
+        removeMiniMap(containerId);
+        instance.miniMap = window.graphMiniMap.attach(instance.network, document.getElementById(containerId), options);
+        return true;
+    } catch (error) {
+        console.error('Error adding mini-map:', error);
+        return false;
+    }
+}
+
+export function setMiniMapCollapsed(containerId, collapsed) {
+    const instance = instances[containerId];
+    if (!instance || !instance.miniMap) {
+        console.error('Mini-map not found:', containerId);
+        return false;
+    }
+
+    instance.miniMap.setCollapsed(collapsed);
+    return true;
+}
+
+export function removeMiniMap(containerId) {
+    const instance = instances[containerId];
+    if (instance && instance.miniMap) {
+        instance.miniMap.detach();
+        instance.miniMap = null;
+    }
+    return true;
+}
+
+/**
+ * Add a keyboard and screen reader view of the graph: an ARIA tree of entities and their relationships
+ * that follows the data, filters and selection (requires graph-accessibility.js).
+ * options: { alwaysVisible, followFocus, maxAnnouncedLinks, strings }; Enter on an entity raises OnNodeClicked
+ */
+export function enableAccessibleView(containerId, options) {
+    try {
+        const instance = instances[containerId];
+        if (!instance) {
+            console.error('Network instance not found:', containerId);
+            return false;
+        }
+
+        disableAccessibleView(containerId);
+        instance.accessibleView = window.graphAccessibility.attach(instance.network, document.getElementById(containerId), {
+            ...options,
+            onActivate: nodeId => {
+                if (instance.dotNetRef) {
+                    instance.dotNetRef.invokeMethodAsync('OnNodeClicked', nodeId).catch(error => {
+                        console.error('Error invoking OnNodeClicked:', error);
+                    });
+                }
+            }
+        });
+        return true;
+    } catch (error) {
+        console.error('Error enabling accessible view:', error);
+        return false;
+    }
+}
+
+export function disableAccessibleView(containerId) {
+    const instance = instances[containerId];
+    if (instance && instance.accessibleView) {
+        instance.accessibleView.detach();
+        instance.accessibleView = null;
+    }
+    return true;
+}
+
+export function highlightPath(containerId, nodeIds, edgeIds) {
+    try {
+        const instance = instances[containerId];
+        if (!instance) {
+            console.error('Network instance not found:', containerId);
+            return false;
+        }
+
+        // Use the exact edges when the caller knows them, otherwise all edges between the nodes
+        const edges = instance.edges.get();
+        const highlightEdges = edgeIds ?
+            edges.filter(edge => edgeIds.includes(edge.id)) :
+            edges.filter(edge => 
+                nodeIds.includes(edge.from) && nodeIds.includes(edge.to)
+            );
+
+        // Dim all nodes and edges
+        instance.nodes.forEach(node => {
+            instance.nodes.update({
+                id: node.id,
+                opacity: nodeIds.includes(node.id) ? 1.0 : 0.3
+            });
+        });
+
+        instance.edges.forEach(edge => {
+            const isHighlighted = highlightEdges.some(e => e.id === edge.id);
+            instance.edges.update({
+                id: edge.id,
+                opacity: isHighlighted ? 1.0 : 0.3
+            });
+        });
+
+        return true;
+    } catch (error) {
+        console.error('Error highlighting path:', error);
+        return false;
+    }
+}
+
+export function resetHighlight(containerId) {
+    try {
+        const instance = instances[containerId];
+        if (!instance) {
+            console.error('Network instance not found:', containerId);
+            return false;
+        }
+
+        // Reset all nodes and edges to full opacity
+        instance.nodes.forEach(node => {
+            instance.nodes.update({ id: node.id, opacity: 1.0 });
+        });
+
+        instance.edges.forEach(edge => {
+            instance.edges.update({ id: edge.id, opacity: 1.0 });
+        });
+
+        return true;
+    } catch (error) {
+        console.error('Error resetting highlight:', error);
+        return false;
+    }
+}
+
+export function computeUltimateBeneficialOwners(containerId, customerId, thresholdPct) {
+    try {
+        const instance = instances[containerId];
+        if (!instance) {
+            console.error('Network instance not found:', containerId);
+            return null;
+        }
+
+        if (!instance.nodes.get(customerId)) {
+            console.error('Customer node not found:', customerId);
+            return null;
+        }
+
+        const threshold = typeof thresholdPct === 'number' ? thresholdPct : 25;
+
+        // Ownership edges point from the owner to the entity it holds a stake in,
+        // so walking towards the owners means following edges backwards.
+        const ownersOf = {};
+        instance.edges.forEach(edge => {
+            if (!edge.ownershipPercentage || edge.ownershipPercentage <= 0) {
+                return;
+            }
+            if (!ownersOf[edge.to]) {
+                ownersOf[edge.to] = [];
+            }
+            ownersOf[edge.to].push(edge);
+        });
+
+        // Multiply stakes along every simple path and sum parallel paths per person
+        const stakes = {};
+        const walk = (entityId, share, path) => {
+            (ownersOf[entityId] || []).forEach(edge => {
+                if (path.includes(edge.from)) {
+                    return; // Circular holding - already counted on this path
+                }
+
+                const owner = instance.nodes.get(edge.from);
+                if (!owner) {
+                    return;
+                }
+
+                const effectiveShare = share * edge.ownershipPercentage / 100;
+                const ownerPath = [...path, edge.from];
+
+                if (owner.isNaturalPerson) {
+                    if (!stakes[owner.id]) {
+                        stakes[owner.id] = { nodeId: owner.id, label: owner.label, share: 0, paths: [] };
+                    }
+                    stakes[owner.id].share += effectiveShare;
+                    stakes[owner.id].paths.push(ownerPath);
+                } else {
+                    walk(edge.from, effectiveShare, ownerPath);
+                }
+            });
+        };
+        walk(customerId, 1, [customerId]);
+
+        const owners = Object.values(stakes)
+            .map(stake => ({
+                nodeId: stake.nodeId,
+                label: stake.label,
+                effectiveOwnership: Math.round(stake.share * 100 * 10000) / 10000,
+                paths: stake.paths
+            }))
+            .filter(owner => owner.effectiveOwnership > threshold)
+            .sort((a, b) => b.effectiveOwnership - a.effectiveOwnership);
+
+        // Highlight every entity on a qualifying chain and select the owners
+        if (owners.length > 0) {
+            const pathNodeIds = [...new Set(owners.flatMap(owner => owner.paths.flat()))];
+            highlightPath(containerId, pathNodeIds);
+            instance.network.selectNodes(owners.map(owner => owner.nodeId));
+        }
+
+        console.log('Ultimate beneficial owners resolved:', owners.length, 'above', threshold + '%');
+        return owners;
+    } catch (error) {
+        console.error('Error computing ultimate beneficial owners:', error);
+        return null;
+    }
+}
+
+export function findPaths(containerId, fromId, toId, options) {
+    try {
+        const instance = instances[containerId];
+        if (!instance) {
+            console.error('Network instance not found:', containerId);
+            return null;
+        }
+
+        if (!instance.nodes.get(fromId) || !instance.nodes.get(toId)) {
+            console.error('Path endpoint not found:', fromId, toId);
+            return null;
+        }
+
+        // mode: 'shortest' | 'kShortest' | 'all'; weightBy: null | 'ownership' | 'value'
+        const config = {
+            mode: 'shortest',
+            k: 3,
+            maxDepth: 6,
+            maxPaths: 100,
+            weightBy: null,
+            directed: false,
+            highlight: true,
+            ...options
+        };
+
+        const adjacency = getAdjacency(instance, config.directed, getEdgeCostFunction(instance, config.weightBy));
+
+        let paths;
+        if (config.mode === 'all') {
+            paths = findAllSimplePaths(adjacency, fromId, toId, config.maxDepth, config.maxPaths);
+        } else if (config.mode === 'kShortest') {
+            paths = findKShortestPaths(adjacency, fromId, toId, config.k);
+        } else {
+            const path = findShortestPath(adjacency, fromId, toId, new Set(), new Set());
+            paths = path ? [path] : [];
+        }
+
+        if (config.highlight && paths.length > 0) {
+            const nodeIds = [...new Set(paths.flatMap(path => path.nodes))];
+            const edgeIds = [...new Set(paths.flatMap(path => path.edges))];
+            highlightPath(containerId, nodeIds, edgeIds);
+        }
+
+        console.log('Paths found:', paths.length, 'between', fromId, 'and', toId);
+        return paths;
+    } catch (error) {
+        console.error('Error finding paths:', error);
+        return null;
+    }
+}
+
+function getAdjacency(instance, directed, costOf) {
+    // nodeId -> [{ nodeId, edgeId, cost }]
+    const adjacency = {};
+    instance.nodes.forEach(node => {
+        adjacency[node.id] = [];
+    });
+
+    instance.edges.forEach(edge => {
+        if (!adjacency[edge.from] || !adjacency[edge.to]) {
+            return;
+        }
+
+        const cost = costOf ? costOf(edge) : 1;
+        adjacency[edge.from].push({ nodeId: edge.to, edgeId: edge.id, cost: cost });
+        if (!directed) {
+            adjacency[edge.to].push({ nodeId: edge.from, edgeId: edge.id, cost: cost });
+        }
+    });
+
+    return adjacency;
+}
+
+function getEdgeCostFunction(instance, weightBy) {
+    if (weightBy === 'ownership') {
+        // Larger stakes are "closer": -ln(share) turns the strongest control chain into the cheapest path
+        return edge => edge.ownershipPercentage > 0 ?
+            -Math.log(Math.min(edge.ownershipPercentage, 100) / 100) :
+            -Math.log(0.01);
+    }
+
+    if (weightBy === 'value') {
+        // Larger flows are "closer": cost is relative to the biggest transaction value in the graph
+        const values = instance.edges.get()
+            .map(edge => edge.transactionValue)
+            .filter(value => value > 0);
+        const maxValue = values.length > 0 ? Math.max(...values) : 1;
+        const minValue = values.length > 0 ? Math.min(...values) : 1;
+        return edge => maxValue / (edge.transactionValue > 0 ? edge.transactionValue : minValue);
+    }
+
+    return null;
+}
+
+function findShortestPath(adjacency, fromId, toId, blockedNodes, blockedEdges) {
+    // Dijkstra over the adjacency list; unweighted graphs simply count hops
+    const distances = { [fromId]: 0 };
+    const previous = {};
+    const visited = new Set();
+    const queue = [fromId];
+
+    while (queue.length > 0) {
+        queue.sort((a, b) => distances[a] - distances[b]);
+        const current = queue.shift();
+        if (visited.has(current)) {
+            continue;
+        }
+        visited.add(current);
+
+        if (current === toId) {
+            break;
+        }
+
+        (adjacency[current] || []).forEach(link => {
+            if (blockedNodes.has(link.nodeId) || blockedEdges.has(link.edgeId) || visited.has(link.nodeId)) {
+                return;
+            }
+
+            const distance = distances[current] + link.cost;
+            if (distances[link.nodeId] === undefined || distance < distances[link.nodeId]) {
+                distances[link.nodeId] = distance;
+                previous[link.nodeId] = { nodeId: current, edgeId: link.edgeId };
+                queue.push(link.nodeId);
+            }
+        });
+    }
+
+    if (distances[toId] === undefined) {
+        return null;
+    }
+
+    const nodes = [toId];
+    const edges = [];
+    let step = toId;
+    while (step !== fromId) {
+        edges.unshift(previous[step].edgeId);
+        step = previous[step].nodeId;
+        nodes.unshift(step);
+    }
+
+    return { nodes: nodes, edges: edges, cost: distances[toId] };
+}
+
+function findKShortestPaths(adjacency, fromId, toId, k) {
+    // Yen's algorithm: deviate from each previously found path at every spur node
+    const first = findShortestPath(adjacency, fromId, toId, new Set(), new Set());
+    if (!first) {
+        return [];
+    }
+
+    const costOfEdge = {};
+    Object.keys(adjacency).forEach(nodeId => {
+        adjacency[nodeId].forEach(link => {
+            costOfEdge[nodeId + '|' + link.edgeId] = link.cost;
+        });
+    });
+    const pathCost = (nodes, edges) => edges.reduce((total, edgeId, i) => total + costOfEdge[nodes[i] + '|' + edgeId], 0);
+    const pathKey = path => path.edges.join('>');
+
+    const found = [first];
+    const candidates = [];
+
+    while (found.length < k) {
+        const last = found[found.length - 1];
+
+        for (let i = 0; i < last.nodes.length - 1; i++) {
+            const spurNode = last.nodes[i];
+            const rootNodes = last.nodes.slice(0, i + 1);
+            const rootEdges = last.edges.slice(0, i);
+
+            // Block the next edge of every known path sharing this root
+            const blockedEdges = new Set();
+            found.forEach(path => {
+                if (path.edges.slice(0, i).join('>') === rootEdges.join('>') && path.nodes[i] === spurNode) {
+                    blockedEdges.add(path.edges[i]);
+                }
+            });
+            const blockedNodes = new Set(rootNodes.slice(0, -1));
+
+            const spur = findShortestPath(adjacency, spurNode, toId, blockedNodes, blockedEdges);
+            if (!spur) {
+                continue;
+            }
+
+            const nodes = [...rootNodes.slice(0, -1), ...spur.nodes];
+            const edges = [...rootEdges, ...spur.edges];
+            const candidate = { nodes: nodes, edges: edges, cost: pathCost(nodes, edges) };
+
+            if (!candidates.some(c => pathKey(c) === pathKey(candidate)) &&
+                !found.some(f => pathKey(f) === pathKey(candidate))) {
+                candidates.push(candidate);
+            }
+        }
+
+        if (candidates.length === 0) {
+            break;
+        }
+
+        candidates.sort((a, b) => a.cost - b.cost || a.edges.length - b.edges.length);
+        found.push(candidates.shift());
+    }
+
+    return found;
+}
+
+function findAllSimplePaths(adjacency, fromId, toId, maxDepth, maxPaths) {
+    const paths = [];
+    const nodes = [fromId];
+    const edges = [];
+    let cost = 0;
+
+    const visit = (current) => {
+        if (paths.length >= maxPaths) {
+            return;
+        }
+
+        if (current === toId) {
+            paths.push({ nodes: [...nodes], edges: [...edges], cost: cost });
+            return;
+        }
+
+        if (edges.length >= maxDepth) {
+            return;
+        }
+
+        (adjacency[current] || []).forEach(link => {
+            if (nodes.includes(link.nodeId)) {
+                return;
+            }
+
+            nodes.push(link.nodeId);
+            edges.push(link.edgeId);
+            cost += link.cost;
+            visit(link.nodeId);
+            cost -= link.cost;
+            edges.pop();
+            nodes.pop();
+        });
+    };
+    visit(fromId);
+
+    return paths.sort((a, b) => a.cost - b.cost);
+}
+
+const riskOverlays = {
+    pep: {
+        label: 'Politically Exposed Person',
+        score: node => node.isPep ? 1 : 0
+    },
+    sanctions: {
+        label: 'Sanctions Hit',
+        score: node => node.hasSanctionsHit ? 1 : 0
+    },
+    adverseMedia: {
+        label: 'Adverse Media',
+        score: node => node.hasAdverseMedia ? 1 : 0
+    },
+    kycExpiry: {
+        label: 'KYC Expiry',
+        score: node => {
+            if (!node.kycExpiryDate) {
+                return 0;
+            }
+            const daysLeft = (new Date(node.kycExpiryDate) - new Date()) / 86400000;
+            if (isNaN(daysLeft)) {
+                return 0;
+            }
+            // Expired is full risk, then fades out over the 90-day review window
+            return daysLeft <= 0 ? 1 : Math.max(0, 1 - daysLeft / 90);
+        }
+    },
+    countryRisk: {
+        label: 'Country Risk',
+        score: node => {
+            const risk = node.countryRisk;
+            if (typeof risk === 'number') {
+                return Math.min(risk > 1 ? risk / 100 : risk, 1);
+            }
+            return { HIGH: 1, MEDIUM: 0.5, LOW: 0 }[(risk || '').toString().toUpperCase()] || 0;
+        }
+    },
+    composite: {
+        label: 'Composite Risk',
+        score: node => {
+            if (typeof node.riskScore === 'number') {
+                return Math.min(node.riskScore > 1 ? node.riskScore / 100 : node.riskScore, 1);
+            }
+            return Math.max(
+                riskOverlays.sanctions.score(node),
+                riskOverlays.pep.score(node) * 0.7,
+                riskOverlays.adverseMedia.score(node) * 0.6,
+                riskOverlays.countryRisk.score(node) * 0.6,
+                riskOverlays.kycExpiry.score(node) * 0.5
+            );
+        }
+    }
+};
+
+export function registerRiskOverlay(name, label, scoreFunction) {
+    // scoreFunction receives the vis node and returns a risk between 0 and 1
+    riskOverlays[name] = { label: label, score: scoreFunction };
+    return true;
+}
+
+export function applyRiskOverlay(containerId, overlayName, options) {
+    try {
+        const instance = instances[containerId];
+        if (!instance) {
+            console.error('Network instance not found:', containerId);
+            return null;
+        }
+
+        const overlay = riskOverlays[overlayName];
+        if (!overlay) {
+            console.error('Risk overlay not found:', overlayName);
+            return null;
+        }
+
+        const config = {
+            propagate: true,
+            decay: 0.5,
+            maxHops: 2,
+            showLegend: true,
+            ...options
+        };
+
+        const ownScores = new Map();
+        instance.nodes.forEach(node => {
+            ownScores.set(node.id, Math.max(0, Math.min(overlay.score(node) || 0, 1)));
+        });
+
+        const associationScores = config.propagate ?
+            propagateRisk(instance, ownScores, config.decay, config.maxHops) :
+            new Map();
+
+        const results = [...ownScores.keys()].map(nodeId => {
+            const ownScore = ownScores.get(nodeId);
+            const associationScore = associationScores.get(nodeId) || 0;
+            return {
+                nodeId: nodeId,
+                ownScore: ownScore,
+                associationScore: associationScore,
+                score: Math.max(ownScore, associationScore)
+            };
+        });
+
+        // Keep each node's own styling for clearRiskOverlay; a second overlay replaces the first, not the originals
+        if (!instance.riskStyles) {
+            instance.riskStyles = new Map(instance.nodes.get().map(node => [node.id, {
+                color: node.color,
+                size: node.size,
+                shapeProperties: node.shapeProperties
+            }]));
+        }
+
+        // Colour and size by risk; dashed borders mark risk inherited from neighbours
+        instance.nodes.update(results.map(result => ({
+            id: result.nodeId,
+            color: getRiskColor(result.score),
+            size: 16 + result.score * 20,
+            shapeProperties: {
+                borderDashes: result.associationScore > result.ownScore ? [5, 5] : false
+            }
+        })));
+
+        instance.riskOverlay = overlayName;
+        if (config.showLegend) {
+            showRiskLegend(containerId, overlay.label, config.propagate);
+        }
+
+        console.log('Risk overlay applied:', overlayName);
+        return results.sort((a, b) => b.score - a.score);
+    } catch (error) {
+        console.error('Error applying risk overlay:', error);
+        return null;
+    }
+}
+
+export function clearRiskOverlay(containerId) {
+    try {
+        const instance = instances[containerId];
+        if (!instance) {
+            console.error('Network instance not found:', containerId);
+            return false;
+        }
+
+        // Nodes added while the overlay was on have no saved styling; the graph's preset styles them afresh
+        const savedStyles = instance.riskStyles || new Map();
+        instance.nodes.update(instance.nodes.get().map(node => {
+            const saved = savedStyles.get(node.id) || buildNode(instance, node.properties || node);
+            return {
+                id: node.id,
+                color: saved.color,
+                size: saved.size,
+                shapeProperties: saved.shapeProperties || { borderDashes: false }
+            };
+        }));
+
+        instance.riskOverlay = null;
+        instance.riskStyles = null;
+        hideRiskLegend(containerId);
+        return true;
+    } catch (error) {
+        console.error('Error clearing risk overlay:', error);
+        return false;
+    }
+}
+
+function propagateRisk(instance, ownScores, decay, maxHops) {
+    // Risk by association: each flagged node leaks score * decay^hops to its neighbourhood
+    const adjacency = getAdjacency(instance, false, null);
+    const associationScores = new Map();
+
+    ownScores.forEach((sourceScore, sourceId) => {
+        if (sourceScore <= 0) {
+            return;
+        }
+
+        const visited = new Set([sourceId]);
+        let frontier = [sourceId];
+        for (let hop = 1; hop <= maxHops && frontier.length > 0; hop++) {
+            const inherited = sourceScore * Math.pow(decay, hop);
+            const next = [];
+            frontier.forEach(nodeId => {
+                adjacency[nodeId].forEach(link => {
+                    if (visited.has(link.nodeId)) {
+                        return;
+                    }
+                    visited.add(link.nodeId);
+                    next.push(link.nodeId);
+                    associationScores.set(link.nodeId, Math.max(associationScores.get(link.nodeId) || 0, inherited));
+                });
+            });
+            frontier = next;
+        }
+    });
+
+    return associationScores;
+}
+
+function getRiskColor(score) {
+    // Low - green, medium - amber, high - red
+    if (score >= 0.7) {
+        return {
+            background: '#dc2626',
+            border: '#b91c1c',
+            highlight: { background: '#b91c1c', border: '#991b1b' }
+        };
+    } else if (score >= 0.3) {
+        return {
+            background: '#f59e0b',
+            border: '#d97706',
+            highlight: { background: '#d97706', border: '#b45309' }
+        };
+    } else if (score > 0) {
+        return {
+            background: '#facc15',
+            border: '#eab308',
+            highlight: { background: '#eab308', border: '#ca8a04' }
+        };
+    }
+    return {
+        background: '#16a34a',
+        border: '#15803d',
+        highlight: { background: '#15803d', border: '#166534' }
+    };
+}
+
+function showRiskLegend(containerId, title, propagated) {
+    hideRiskLegend(containerId);
+
+    const container = document.getElementById(containerId);
+    if (!container) {
+        return;
+    }
+
+    if (getComputedStyle(container).position === 'static') {
+        container.style.position = 'relative';
+    }
+
+    const entries = [
+        { color: '#dc2626', text: 'High (70%+)' },
+        { color: '#f59e0b', text: 'Medium (30-70%)' },
+        { color: '#facc15', text: 'Low (under 30%)' },
+        { color: '#16a34a', text: 'No risk indicators' }
+    ];
+
+    const legend = document.createElement('div');
+    legend.className = 'network-risk-legend';
+    legend.style.cssText = 'position: absolute; top: 8px; right: 8px; z-index: 10; padding: 8px; ' +
+        'background: rgba(255, 255, 255, 0.95); border: 1px solid #dee2e6; border-radius: 4px; font-size: 12px;';
+
+    const heading = document.createElement('div');
+    heading.style.cssText = 'font-weight: bold; margin-bottom: 4px;';
+    heading.textContent = title;
+    legend.appendChild(heading);
+
+    entries.forEach(entry => {
+        const row = document.createElement('div');
+        const swatch = document.createElement('span');
+        swatch.style.cssText = `display: inline-block; width: 10px; height: 10px; border-radius: 50%; margin-right: 6px; background: ${entry.color};`;
+        row.appendChild(swatch);
+        row.appendChild(document.createTextNode(entry.text));
+        legend.appendChild(row);
+    });
+
+    if (propagated) {
+        const note = document.createElement('div');
+        note.style.cssText = 'margin-top: 4px; color: #6b7280;';
+        note.textContent = 'Dashed border: risk by association';
+        legend.appendChild(note);
+    }
+
+    container.appendChild(legend);
+}
+
+function hideRiskLegend(containerId) {
+    const container = document.getElementById(containerId);
+    const legend = container && container.querySelector('.network-risk-legend');
+    if (legend) {
+        legend.remove();
+    }
+}
+
+const communityColors = ['#3b82f6', '#10b981', '#f59e0b', '#8b5cf6', '#ef4444', '#14b8a6', '#ec4899', '#84cc16'];
+
+export function detectCommunities(containerId, options) {
+    try {
+        const instance = instances[containerId];
+        if (!instance) {
+            console.error('Network instance not found:', containerId);
+            return null;
+        }
+
+        // algorithm: 'louvain' | 'labelPropagation'
+        const config = {
+            algorithm: 'louvain',
+            cluster: false,
+            minClusterSize: 3,
+            ...options
+        };
+
+        const nodeIds = instance.nodes.getIds();
+        const indexOf = new Map(nodeIds.map((id, index) => [id, index]));
+        const adjacency = nodeIds.map(() => new Map());
+        instance.edges.forEach(edge => {
+            const from = indexOf.get(edge.from);
+            const to = indexOf.get(edge.to);
+            if (from === undefined || to === undefined) {
+                return;
+            }
+            adjacency[from].set(to, (adjacency[from].get(to) || 0) + 1);
+            if (from !== to) {
+                adjacency[to].set(from, (adjacency[to].get(from) || 0) + 1);
+            }
+        });
+
+        const membership = config.algorithm === 'labelPropagation' ?
+            labelPropagation(adjacency) :
+            louvain(adjacency);
+
+        // Renumber communities largest first
+        const groups = {};
+        membership.forEach((community, index) => {
+            (groups[community] = groups[community] || []).push(nodeIds[index]);
+        });
+        const communities = Object.values(groups)
+            .sort((a, b) => b.length - a.length)
+            .map((members, index) => ({ communityId: index, nodeIds: members }));
+
+        instance.nodes.update(communities.flatMap(community =>
+            community.nodeIds.map(id => ({ id: id, community: community.communityId }))
+        ));
+
+        if (config.cluster) {
+            clusterCommunities(containerId, config.minClusterSize);
+        }
+
+        console.log('Communities detected:', communities.length);
+        return communities;
+    } catch (error) {
+        console.error('Error detecting communities:', error);
+        return null;
+    }
+}
+
+function labelPropagation(adjacency) {
+    const labels = adjacency.map((neighbours, index) => index);
+    const order = adjacency.map((neighbours, index) => index);
+
+    for (let iteration = 0; iteration < 20; iteration++) {
+        let changed = false;
+
+        // Shuffle so the visiting order does not bias the result
+        for (let i = order.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [order[i], order[j]] = [order[j], order[i]];
+        }
+
+        order.forEach(node => {
+            const counts = new Map();
+            adjacency[node].forEach((weight, neighbour) => {
+                if (neighbour !== node) {
+                    counts.set(labels[neighbour], (counts.get(labels[neighbour]) || 0) + weight);
+                }
+            });
+            if (counts.size === 0) {
+                return;
+            }
+
+            // Keep the current label on ties to guarantee convergence
+            let best = labels[node];
+            let bestCount = counts.get(best) || 0;
+            counts.forEach((count, label) => {
+                if (count > bestCount) {
+                    best = label;
+                    bestCount = count;
+                }
+            });
+
+            if (best !== labels[node]) {
+                labels[node] = best;
+                changed = true;
+            }
+        });
+
+        if (!changed) {
+            break;
+        }
+    }
+
+    return labels;
+}
+
+function louvain(adjacency) {
+    // Membership of every original node in the current (aggregated) graph
+    let membership = adjacency.map((neighbours, index) => index);
+    let graph = adjacency;
+
+    for (let level = 0; level < 10; level++) {
+        const degree = graph.map((neighbours, i) => {
+            let total = 0;
+            neighbours.forEach((weight, j) => {
+                total += i === j ? 2 * weight : weight;
+            });
+            return total;
+        });
+        const twoM = degree.reduce((sum, k) => sum + k, 0);
+        if (twoM === 0) {
+            break;
+        }
+
+        // Phase 1: move nodes to the neighbouring community with the best modularity gain
+        const community = graph.map((neighbours, index) => index);
+        const totals = degree.slice();
+        let moved = false;
+        let improved = true;
+
+        for (let pass = 0; improved && pass < 50; pass++) {
+            improved = false;
+
+            graph.forEach((neighbours, node) => {
+                const current = community[node];
+                totals[current] -= degree[node];
+
+                const links = new Map();
+                neighbours.forEach((weight, neighbour) => {
+                    if (neighbour !== node) {
+                        links.set(community[neighbour], (links.get(community[neighbour]) || 0) + weight);
+                    }
+                });
+
+                let best = current;
+                let bestGain = (links.get(current) || 0) - totals[current] * degree[node] / twoM;
+                links.forEach((weight, candidate) => {
+                    const gain = weight - totals[candidate] * degree[node] / twoM;
+                    if (gain > bestGain + 1e-12) {
+                        best = candidate;
+                        bestGain = gain;
+                    }
+                });
+
+                totals[best] += degree[node];
+                if (best !== current) {
+                    community[node] = best;
+                    improved = true;
+                    moved = true;
+                }
+            });
+        }
+
+        if (!moved) {
+            break;
+        }
+
+        // Phase 2: collapse each community into a single node and repeat
+        const renumber = new Map();
+        community.forEach(c => {
+            if (!renumber.has(c)) {
+                renumber.set(c, renumber.size);
+            }
+        });
+
+        const aggregated = [...renumber.keys()].map(() => new Map());
+        graph.forEach((neighbours, i) => {
+            neighbours.forEach((weight, j) => {
+                if (j < i) {
+                    return;
+                }
+                const a = renumber.get(community[i]);
+                const b = renumber.get(community[j]);
+                aggregated[a].set(b, (aggregated[a].get(b) || 0) + weight);
+                if (a !== b) {
+                    aggregated[b].set(a, (aggregated[b].get(a) || 0) + weight);
+                }
+            });
+        });
+
+        membership = membership.map(node => renumber.get(community[node]));
+        graph = aggregated;
+    }
+
+    return membership;
+}
+
+export function clusterCommunities(containerId, minClusterSize) {
+    try {
+        const instance = instances[containerId];
+        if (!instance) {
+            console.error('Network instance not found:', containerId);
+            return false;
+        }
+
+        openClusters(containerId);
+
+        const minSize = minClusterSize || 3;
+        const sizes = {};
+        instance.nodes.forEach(node => {
+            if (node.community !== undefined) {
+                sizes[node.community] = (sizes[node.community] || 0) + 1;
+            }
+        });
+
+        Object.keys(sizes).forEach(community => {
+            if (sizes[community] < minSize) {
+                return;
+            }
+
+            const clusterId = 'community-' + community;
+            const color = communityColors[community % communityColors.length];
+            instance.network.cluster({
+                joinCondition: nodeOptions => String(nodeOptions.community) === community,
+                clusterNodeProperties: {
+                    id: clusterId,
+                    label: `Group ${Number(community) + 1} (${sizes[community]})`,
+                    shape: 'hexagon',
+                    size: 30,
+                    color: { background: color, border: color },
+                    font: { color: '#343a40' }
+                }
+            });
+            instance.clusterIds.push(clusterId);
+        });
+
+        return true;
+    } catch (error) {
+        console.error('Error clustering communities:', error);
+        return false;
+    }
+}
+
+export function detectOwnershipCycles(containerId, options) {
+    try {
+        const instance = instances[containerId];
+        if (!instance) {
+            console.error('Network instance not found:', containerId);
+            return null;
+        }
+
+        const config = {
+            maxLength: 10,
+            maxCycles: 100,
+            highlight: true,
+            cluster: false,
+            ...options
+        };
+
+        // Directed ownership graph: owner -> owned entity
+        const ownershipEdges = instance.edges.get({
+            filter: edge => edge.ownershipPercentage > 0
+        });
+        const outgoing = new Map();
+        ownershipEdges.forEach(edge => {
+            if (!outgoing.has(edge.from)) {
+                outgoing.set(edge.from, []);
+            }
+            outgoing.get(edge.from).push(edge);
+        });
+
+        // Cycles can only exist inside strongly connected components
+        const components = findStronglyConnectedComponents(outgoing).filter(component =>
+            component.length > 1 ||
+            (outgoing.get(component[0]) || []).some(edge => edge.to === component[0])
+        );
+
+        const cycles = [];
+        components.forEach(component => {
+            const order = new Map(component.map((id, index) => [id, index]));
+
+            // Each cycle is reported once, starting from its lowest-ordered node
+            component.forEach(start => {
+                const nodes = [start];
+                const edges = [];
+                const visit = (current) => {
+                    if (cycles.length >= config.maxCycles) {
+                        return;
+                    }
+                    (outgoing.get(current) || []).forEach(edge => {
+                        if (!order.has(edge.to) || order.get(edge.to) < order.get(start)) {
+                            return;
+                        }
+                        if (edge.to === start) {
+                            cycles.push({ nodeIds: [...nodes], edgeIds: [...edges, edge.id] });
+                            return;
+                        }
+                        if (nodes.includes(edge.to) || nodes.length >= config.maxLength) {
+                            return;
+                        }
+                        nodes.push(edge.to);
+                        edges.push(edge.id);
+                        visit(edge.to);
+                        edges.pop();
+                        nodes.pop();
+                    });
+                };
+                visit(start);
+            });
+        });
+
+        if (config.highlight && cycles.length > 0) {
+            highlightPath(
+                containerId,
+                [...new Set(cycles.flatMap(cycle => cycle.nodeIds))],
+                [...new Set(cycles.flatMap(cycle => cycle.edgeIds))]
+            );
+        }
+
+        if (config.cluster) {
+            openClusters(containerId);
+            components.forEach((component, index) => {
+                const members = new Set(component);
+                const clusterId = 'ownership-cycle-' + index;
+                instance.network.cluster({
+                    joinCondition: nodeOptions => members.has(nodeOptions.id),
+                    clusterNodeProperties: {
+                        id: clusterId,
+                        label: `Circular ownership (${component.length})`,
+                        shape: 'diamond',
+                        size: 30,
+                        color: { background: '#dc2626', border: '#991b1b' },
+                        font: { color: '#343a40' }
+                    }
+                });
+                instance.clusterIds.push(clusterId);
+            });
+        }
+
+        console.log('Ownership cycles detected:', cycles.length);
+        return cycles;
+    } catch (error) {
+        console.error('Error detecting ownership cycles:', error);
+        return null;
+    }
+}
+
+function findStronglyConnectedComponents(outgoing) {
+    // Tarjan's algorithm over the directed adjacency map
+    const index = new Map();
+    const lowLink = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const components = [];
+    let counter = 0;
+
+    const connect = (nodeId) => {
+        index.set(nodeId, counter);
+        lowLink.set(nodeId, counter);
+        counter++;
+        stack.push(nodeId);
+        onStack.add(nodeId);
+
+        (outgoing.get(nodeId) || []).forEach(edge => {
+            if (!index.has(edge.to)) {
+                connect(edge.to);
+                lowLink.set(nodeId, Math.min(lowLink.get(nodeId), lowLink.get(edge.to)));
+            } else if (onStack.has(edge.to)) {
+                lowLink.set(nodeId, Math.min(lowLink.get(nodeId), index.get(edge.to)));
+            }
+        });
+
+        if (lowLink.get(nodeId) === index.get(nodeId)) {
+            const component = [];
+            let member;
+            do {
+                member = stack.pop();
+                onStack.delete(member);
+                component.push(member);
+            } while (member !== nodeId);
+            components.push(component);
+        }
+    };
+
+    outgoing.forEach((edges, nodeId) => {
+        if (!index.has(nodeId)) {
+            connect(nodeId);
+        }
+    });
+
+    return components;
+}
+
+export function openClusters(containerId) {
+    try {
+        const instance = instances[containerId];
+        if (!instance) {
+            console.error('Network instance not found:', containerId);
+            return false;
+        }
+
+        instance.clusterIds.forEach(clusterId => {
+            if (instance.network.isCluster(clusterId)) {
+                instance.network.openCluster(clusterId);
+            }
+        });
+        instance.clusterIds = [];
+
+        return true;
+    } catch (error) {
+        console.error('Error opening clusters:', error);
+        return false;
+    }
+}
+
+function isNodeVisible(containerId, node) {
+    const instance = instances[containerId];
+    if (!instance) {
+        return true;
+    }
+
+    if (instance.temporal && !isValidAt(node, instance.temporal.timePoint) &&
+        !(instance.temporal.fading && instance.temporal.fading.has(node.id))) {
+        return false;
+    }
+
+    return !instance.filters || passesNodeFilters(instance.filters, node);
+}
+
+function isEdgeVisible(containerId, edge) {
+    const instance = instances[containerId];
+    if (!instance) {
+        return true;
+    }
+
+    // An edge is only shown while both of its endpoints are
+    const from = instance.nodes.get(edge.from);
+    const to = instance.nodes.get(edge.to);
+    if (!from || !to || !isNodeVisible(containerId, from) || !isNodeVisible(containerId, to)) {
+        return false;
+    }
+
+    if (instance.temporal && !isValidAt(edge, instance.temporal.timePoint)) {
+        return false;
+    }
+
+    return !instance.filters || passesEdgeFilters(instance.filters, edge);
+}
+
+function passesNodeFilters(filters, node) {
+    if (filters.hiddenNodeTypes && filters.hiddenNodeTypes.includes(node.nodeType)) {
+        return false;
+    }
+    if (filters.hiddenTiers && filters.hiddenTiers.includes(node.tier)) {
+        return false;
+    }
+    if (filters.hiddenStatuses && filters.hiddenStatuses.includes(node.status)) {
+        return false;
+    }
+    if (filters.valueRange && typeof node.totalValue === 'number' &&
+        !isInRange(node.totalValue, filters.valueRange)) {
+        return false;
+    }
+    if (filters.neighbourhoodIds && !filters.neighbourhoodIds.has(node.id)) {
+        return false;
+    }
+    return true;
+}
+
+function passesEdgeFilters(filters, edge) {
+    if (filters.hiddenEdgeLabels && filters.hiddenEdgeLabels.includes(edge.label)) {
+        return false;
+    }
+    // Ranges only apply to edges that carry the attribute
+    if (filters.ownershipRange && typeof edge.ownershipPercentage === 'number' &&
+        !isInRange(edge.ownershipPercentage, filters.ownershipRange)) {
+        return false;
+    }
+    if (filters.valueRange && typeof edge.transactionValue === 'number' &&
+        !isInRange(edge.transactionValue, filters.valueRange)) {
+        return false;
+    }
+    return true;
+}
+
+function isInRange(value, range) {
+    const min = typeof range.min === 'number' ? range.min : -Infinity;
+    const max = typeof range.max === 'number' ? range.max : Infinity;
+    return value >= min && value <= max;
+}
+
+export function setFilters(containerId, filters) {
+    try {
+        const instance = instances[containerId];
+        if (!instance) {
+            console.error('Network instance not found:', containerId);
+            return null;
+        }
+
+        // hiddenNodeTypes, hiddenTiers, hiddenStatuses, hiddenEdgeLabels: arrays of values to hide
+        // ownershipRange, valueRange: { min, max }
+        const neighbourhoodIds = instance.filters ? instance.filters.neighbourhoodIds : null;
+        instance.filters = filters ? { ...filters, neighbourhoodIds: neighbourhoodIds } : null;
+
+        instance.nodesView.refresh();
+        instance.edgesView.refresh();
+
+        return getFilterCounts(containerId);
+    } catch (error) {
+        console.error('Error setting filters:', error);
+        return null;
+    }
+}
+
+export function clearFilters(containerId) {
+    try {
+        const instance = instances[containerId];
+        if (!instance) {
+            console.error('Network instance not found:', containerId);
+            return null;
+        }
+
+        instance.filters = null;
+        instance.nodesView.refresh();
+        instance.edgesView.refresh();
+
+        return getFilterCounts(containerId);
+    } catch (error) {
+        console.error('Error clearing filters:', error);
+        return null;
+    }
+}
+
+export function showNeighbourhoodOfSelection(containerId, depth) {
+    try {
+        const instance = instances[containerId];
+        if (!instance) {
+            console.error('Network instance not found:', containerId);
+            return null;
+        }
+
+        const selected = instance.network.getSelectedNodes();
+        if (selected.length === 0) {
+            console.warn('No nodes selected:', containerId);
+            return null;
+        }
+
+        // Breadth-first walk over the full data, not just what is currently visible
+        const adjacency = getAdjacency(instance, false, null);
+        const neighbourhoodIds = new Set(selected);
+        let frontier = selected;
+        for (let hop = 0; hop < (depth || 1); hop++) {
+            frontier = frontier.flatMap(nodeId => (adjacency[nodeId] || []).map(link => link.nodeId))
+                .filter(nodeId => !neighbourhoodIds.has(nodeId));
+            frontier.forEach(nodeId => neighbourhoodIds.add(nodeId));
+        }
+
+        instance.filters = { ...instance.filters, neighbourhoodIds: neighbourhoodIds };
+        instance.nodesView.refresh();
+        instance.edgesView.refresh();
+
+        return getFilterCounts(containerId);
+    } catch (error) {
+        console.error('Error showing neighbourhood:', error);
+        return null;
+    }
+}
+
+export function clearNeighbourhood(containerId) {
+    const instance = instances[containerId];
+    if (!instance) {
+        console.error('Network instance not found:', containerId);
+        return null;
+    }
+
+    if (instance.filters) {
+        instance.filters.neighbourhoodIds = null;
+        instance.nodesView.refresh();
+        instance.edgesView.refresh();
+    }
+
+    return getFilterCounts(containerId);
+}
+
+export function getFilterCounts(containerId) {
+    const instance = instances[containerId];
+    if (!instance) {
+        return null;
+    }
+
+    const visibleNodes = instance.nodesView.length;
+    const visibleEdges = instance.edgesView.length;
+    return {
+        visibleNodes: visibleNodes,
+        hiddenNodes: instance.nodes.length - visibleNodes,
+        visibleEdges: visibleEdges,
+        hiddenEdges: instance.edges.length - visibleEdges
+    };
+}
+
+function isValidAt(item, timePoint) {
+    // Open-ended intervals (no validFrom/validTo) are valid forever in that direction
+    if (timePoint === null || timePoint === undefined) {
+        return true;
+    }
+
+    const from = item.validFrom ? new Date(item.validFrom).getTime() : -Infinity;
+    const to = item.validTo ? new Date(item.validTo).getTime() : Infinity;
+    return timePoint >= from && timePoint <= to;
+}
+
+function getTimeRange(instance) {
+    const times = [];
+    [instance.nodes, instance.edges].forEach(dataSet => {
+        dataSet.forEach(item => {
+            [item.validFrom, item.validTo].forEach(value => {
+                const time = value ? new Date(value).getTime() : NaN;
+                if (!isNaN(time)) {
+                    times.push(time);
+                }
+            });
+        });
+    });
+
+    if (times.length === 0) {
+        return null;
+    }
+
+    return { min: Math.min(...times), max: Math.max(...times) };
+}
+
+export function enableTemporalMode(containerId, options) {
+    try {
+        const instance = instances[containerId];
+        if (!instance) {
+            console.error('Network instance not found:', containerId);
+            return null;
+        }
+
+        const range = getTimeRange(instance);
+        if (!range) {
+            console.warn('No validity intervals found on network data:', containerId);
+            return null;
+        }
+
+        const config = {
+            showSlider: true,
+            animate: true,
+            dotNetHelper: null,
+            methodName: 'OnTimePointChanged',
+            ...options
+        };
+
+        instance.temporal = {
+            range: range,
+            timePoint: range.max,
+            animate: config.animate,
+            dotNetHelper: config.dotNetHelper,
+            methodName: config.methodName,
+            // Nodes fading out, kept in the view until the fade ends
+            fading: null,
+            timer: null
+        };
+
+        if (config.showSlider) {
+            showTimeSlider(containerId);
+        }
+
+        setTimePoint(containerId, range.max);
+
+        return {
+            min: new Date(range.min).toISOString(),
+            max: new Date(range.max).toISOString()
+        };
+    } catch (error) {
+        console.error('Error enabling temporal mode:', error);
+        return null;
+    }
+}
+
+export function disableTemporalMode(containerId) {
+    try {
+        const instance = instances[containerId];
+        if (!instance) {
+            console.error('Network instance not found:', containerId);
+            return false;
+        }
+
+        pauseTimeline(containerId);
+        instance.temporal = null;
+        hideTimeSlider(containerId);
+
+        instance.nodesView.refresh();
+        instance.edgesView.refresh();
+        return true;
+    } catch (error) {
+        console.error('Error disabling temporal mode:', error);
+        return false;
+    }
+}
+
+export function setTimePoint(containerId, date) {
+    try {
+        const instance = instances[containerId];
+        if (!instance || !instance.temporal) {
+            console.error('Temporal mode not enabled:', containerId);
+            return null;
+        }
+
+        const timePoint = new Date(date).getTime();
+        if (isNaN(timePoint)) {
+            console.error('Invalid time point:', date);
+            return null;
+        }
+
+        const before = new Set(instance.nodesView.getIds());
+        instance.temporal.timePoint = timePoint;
+        instance.temporal.fading = null;
+
+        const after = new Set(instance.nodes.getIds({
+            filter: node => isNodeVisible(containerId, node)
+        }));
+        const appearing = [...after].filter(id => !before.has(id));
+        const disappearing = [...before].filter(id => !after.has(id));
+
+        const refresh = () => {
+            instance.nodesView.refresh();
+            instance.edgesView.refresh();
+        };
+
+        if (instance.temporal.animate && (appearing.length > 0 || disappearing.length > 0)) {
+            // Fade leaving nodes out before they are filtered, and new nodes in after. Each opacity update
+            // re-checks the view's filter, so the leaving nodes count as visible until the fade ends
+            const fading = new Set(disappearing);
+            instance.temporal.fading = fading;
+            fadeNodes(instance, disappearing, 1, 0, () => {
+                if (instance.temporal && instance.temporal.fading === fading) {
+                    instance.temporal.fading = null;
+                }
+                instance.nodes.update(disappearing.map(id => ({ id: id, opacity: 1.0 })));
+                refresh();
+                fadeNodes(instance, appearing, 0, 1);
+            });
+        } else {
+            refresh();
+        }
+
+        updateTimeSlider(containerId);
+
+        const { dotNetHelper, methodName } = instance.temporal;
+        if (dotNetHelper) {
+            dotNetHelper.invokeMethodAsync(methodName, new Date(timePoint).toISOString()).catch(error => {
+                console.error('Error invoking ' + methodName + ':', error);
+            });
+        }
+
+        return {
+            timePoint: new Date(timePoint).toISOString(),
+            visibleNodes: after.size,
+            appearing: appearing,
+            disappearing: disappearing
+        };
+    } catch (error) {
+        console.error('Error setting time point:', error);
+        return null;
+    }
+}
+
+function fadeNodes(instance, nodeIds, fromOpacity, toOpacity, onComplete) {
+    if (nodeIds.length === 0) {
+        if (onComplete) {
+            onComplete();
+        }
+        return;
+    }
+
+    const duration = 400;
+    const start = performance.now();
+    const step = (now) => {
+        const progress = Math.min((now - start) / duration, 1);
+        const opacity = fromOpacity + (toOpacity - fromOpacity) * progress;
+        instance.nodes.update(nodeIds.map(id => ({ id: id, opacity: opacity })));
+
+        if (progress < 1) {
+            requestAnimationFrame(step);
+        } else if (onComplete) {
+            onComplete();
+        }
+    };
+    requestAnimationFrame(step);
+}
+
+export function playTimeline(containerId, options) {
+    try {
+        const instance = instances[containerId];
+        if (!instance || !instance.temporal) {
+            console.error('Temporal mode not enabled:', containerId);
+            return false;
+        }
+
+        const config = {
+            stepDays: 30,
+            intervalMs: 800,
+            loop: false,
+            ...options
+        };
+
+        pauseTimeline(containerId);
+
+        const temporal = instance.temporal;
+        const stepMs = config.stepDays * 86400000;
+        if (temporal.timePoint >= temporal.range.max) {
+            setTimePoint(containerId, temporal.range.min);
+        }
+
+        temporal.timer = setInterval(() => {
+            let next = temporal.timePoint + stepMs;
+            if (next > temporal.range.max) {
+                if (!config.loop) {
+                    setTimePoint(containerId, temporal.range.max);
+                    pauseTimeline(containerId);
+                    return;
+                }
+                next = temporal.range.min;
+            }
+            setTimePoint(containerId, next);
+        }, config.intervalMs);
+
+        updateTimeSlider(containerId);
+        return true;
+    } catch (error) {
+        console.error('Error playing timeline:', error);
+        return false;
+    }
+}
+
+export function pauseTimeline(containerId) {
+    const instance = instances[containerId];
+    if (!instance || !instance.temporal || !instance.temporal.timer) {
+        return false;
+    }
+
+    clearInterval(instance.temporal.timer);
+    instance.temporal.timer = null;
+    updateTimeSlider(containerId);
+    return true;
+}
+
+function showTimeSlider(containerId) {
+    hideTimeSlider(containerId);
+
+    const container = document.getElementById(containerId);
+    const instance = instances[containerId];
+    if (!container || !instance || !instance.temporal) {
+        return;
+    }
+
+    if (getComputedStyle(container).position === 'static') {
+        container.style.position = 'relative';
+    }
+
+    const panel = document.createElement('div');
+    panel.className = 'network-time-slider';
+    panel.style.cssText = 'position: absolute; left: 8px; right: 8px; bottom: 8px; z-index: 10; display: flex; ' +
+        'align-items: center; gap: 8px; padding: 6px 8px; background: rgba(255, 255, 255, 0.95); ' +
+        'border: 1px solid #dee2e6; border-radius: 4px; font-size: 12px;';
+
+    const playButton = document.createElement('button');
+    playButton.type = 'button';
+    playButton.className = 'btn btn-sm btn-outline-primary';
+    playButton.addEventListener('click', () => {
+        if (instance.temporal.timer) {
+            pauseTimeline(containerId);
+        } else {
+            playTimeline(containerId);
+        }
+    });
+
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.min = instance.temporal.range.min;
+    slider.max = instance.temporal.range.max;
+    slider.step = 86400000;
+    slider.style.flex = '1';
+    slider.setAttribute('aria-label', 'Relationship date');
+    slider.addEventListener('input', () => {
+        pauseTimeline(containerId);
+        setTimePoint(containerId, Number(slider.value));
+    });
+
+    const dateLabel = document.createElement('span');
+    dateLabel.style.minWidth = '90px';
+
+    panel.appendChild(playButton);
+    panel.appendChild(slider);
+    panel.appendChild(dateLabel);
+    container.appendChild(panel);
+
+    instance.temporal.controls = { playButton: playButton, slider: slider, dateLabel: dateLabel };
+    updateTimeSlider(containerId);
+}
+
+function updateTimeSlider(containerId) {
+    const instance = instances[containerId];
+    if (!instance || !instance.temporal || !instance.temporal.controls) {
+        return;
+    }
+
+    const { playButton, slider, dateLabel } = instance.temporal.controls;
+    slider.value = instance.temporal.timePoint;
+    dateLabel.textContent = new Date(instance.temporal.timePoint).toLocaleDateString();
+    playButton.textContent = instance.temporal.timer ? '❚❚ Pause' : '▶ Play';
+}
+
+function hideTimeSlider(containerId) {
+    const container = document.getElementById(containerId);
+    const panel = container && container.querySelector('.network-time-slider');
+    if (panel) {
+        panel.remove();
+    }
+}
+
+export function exportToPNG(containerId) {
+    try {
+        const instance = instances[containerId];
+        if (!instance) {
+            console.error('Network instance not found:', containerId);
+            return null;
+        }
+
+        const canvas = instance.network.canvas.frame.canvas;
+        return canvas.toDataURL('image/png');
+    } catch (error) {
+        console.error('Error exporting to PNG:', error);
+        return null;
+    }
+}
+
+function getLegend(instance) {
+    if (instance.riskOverlay) {
+        return [
+            { color: '#dc2626', label: 'High risk' },
+            { color: '#f59e0b', label: 'Medium risk' },
+            { color: '#facc15', label: 'Low risk' },
+            { color: '#16a34a', label: 'No risk indicators' }
+        ];
+    }
+
+    return [
+        { color: '#3b82f6', label: 'Customer' },
+        { color: '#dc2626', label: 'Beneficial owner' },
+        { color: '#f59e0b', label: 'Platinum / Gold' },
+        { color: '#6b7280', label: 'Related entity' }
+    ];
+}
+
+export function exportToSVG(containerId, options) {
+    try {
+        const instance = instances[containerId];
+        if (!instance) {
+            console.error('Network instance not found:', containerId);
+            return null;
+        }
+
+        return window.graphExport.toSvg(instance.network, {
+            title: 'Customer 360° Relationship Network',
+            legend: getLegend(instance),
+            ...options
+        });
+    } catch (error) {
+        console.error('Error exporting to SVG:', error);
+        return null;
+    }
+}
+
+export function exportToPDF(containerId, options) {
+    try {
+        const instance = instances[containerId];
+        if (!instance) {
+            console.error('Network instance not found:', containerId);
+            return null;
+        }
+
+        return window.graphExport.toPdfDataUrl(instance.network, {
+            title: 'Customer 360° Relationship Network',
+            legend: getLegend(instance),
+            ...options
+        });
+    } catch (error) {
+        console.error('Error exporting to PDF:', error);
+        return null;
+    }
+}
+
+export function exportNetwork(containerId, format) {
+    const instance = instances[containerId];
+    if (!instance) {
+        console.error('Network instance not found:', containerId);
+        return null;
+    }
+
+    try {
+        // Without a format, hand back the vis items as version 1 did
+        if (!format) {
+            return {
+                nodes: instance.nodes.get(),
+                edges: instance.edges.get()
+            };
+        }
+
+        // Export the .NET payloads rather than the styled vis items so a re-import restyles them
+        const graph = {
+            directed: true,
+            nodes: instance.nodes.get().map(node => ({
+                ...(node.properties || { id: node.id, label: node.label })
+            })),
+            edges: instance.edges.get().map(edge => ({
+                ...(edge.properties || { from: edge.from, to: edge.to, label: edge.label }),
+                // Payloads may carry id: null; the graph's own id keeps parallel edges apart
+                id: edge.id
+            }))
+        };
+
+        return window.graphFormats.serialize(format, graph);
+    } catch (error) {
+        console.error('Error exporting network:', error);
+        return null;
+    }
+}
+
+export function importNetwork(containerId, content, format) {
+    const instance = instances[containerId];
+    if (!instance) {
+        console.error('Network instance not found:', containerId);
+        return false;
+    }
+
+    try {
+        const graph = window.graphFormats.parse(format || 'jgf', content);
+
+        // Entity networks are styled by their payloads, Customer 360° graphs by domain attributes
+        if (instance.preset === 'entityNetwork') {
+            clearNetwork(containerId);
+            graph.nodes.forEach(node => addNode(containerId, node));
+            graph.edges.forEach(edge => addEdge(containerId, edge));
+            return true;
+        }
+
+        return loadData(containerId, { nodes: graph.nodes, edges: graph.edges });
+    } catch (error) {
+        console.error('Error importing network:', error);
+        return false;
+    }
+}
+
+export function destroy(containerId) {
+    try {
+        const instance = instances[containerId];
+        if (instance) {
+            pauseTimeline(containerId);
+            disableInteractions(containerId);
+            disableLayoutPersistence(containerId);
+            stopLayoutAnimation(instance);
+            detachSearchBox(containerId);
+            removeMiniMap(containerId);
+            disableAccessibleView(containerId);
+            instance.network.destroy();
+            delete instances[containerId];
+            console.log('Network graph destroyed:', containerId);
+        }
+        return true;
+    } catch (error) {
+        console.error('Error destroying network graph:', error);
+        return false;
+    }
+}
+
+export function setPhysicsEnabled(containerId, enabled) {
+    try {
+        const instance = instances[containerId];
+        if (!instance) {
+            console.error('Network instance not found:', containerId);
+            return false;
+        }
+
+        instance.network.setOptions({
+            physics: { enabled: enabled }
+        });
+
+        return true;
+    } catch (error) {
+        console.error('Error setting physics:', error);
+        return false;
+    }
+}
+
+export function stabilize(containerId) {
+    try {
+        const instance = instances[containerId];
+        if (!instance) {
+            console.error('Network instance not found:', containerId);
+            return false;
+        }
+
+        instance.network.stabilize();
+        return true;
+    } catch (error) {
+        console.error('Error stabilizing network:', error);
+        return false;
+    }
+}
+
+// Global access for pages that call customerNetworkGraph.* through IJSRuntime
+window.customerNetworkGraph = {
+    apiVersion: API_VERSION,
+    getApiVersion,
+    initialize,
+    loadData,
+    addNode,
+    addEdge,
+    updateNode,
+    removeNode,
+    updateEdge,
+    removeEdge,
+    applyChanges,
+    clearNetwork,
+    fitNetwork,
+    selectNode,
+    setOptions,
+    enablePhysics,
+    setLayout,
+    getLayoutState,
+    restoreLayout,
+    pinNodes,
+    enableLayoutPersistence,
+    disableLayoutPersistence,
+    setTooltipOptions,
+    addEventListener,
+    enableInteractions,
+    disableInteractions,
+    setContextMenu,
+    getSelection,
+    enableExpansion,
+    disableExpansion,
+    expandNode,
+    mergeData,
+    collapseNode,
+    focusNode,
+    searchNodes,
+    focusSearchResult,
+    attachSearchBox,
+    detachSearchBox,
+    addMiniMap,
+    setMiniMapCollapsed,
+    removeMiniMap,
+    enableAccessibleView,
+    disableAccessibleView,
+    highlightPath,
+    resetHighlight,
+    computeUltimateBeneficialOwners,
+    findPaths,
+    registerRiskOverlay,
+    applyRiskOverlay,
+    clearRiskOverlay,
+    detectCommunities,
+    clusterCommunities,
+    detectOwnershipCycles,
+    openClusters,
+    setFilters,
+    clearFilters,
+    showNeighbourhoodOfSelection,
+    clearNeighbourhood,
+    getFilterCounts,
+    enableTemporalMode,
+    disableTemporalMode,
+    setTimePoint,
+    playTimeline,
+    pauseTimeline,
+    exportToPNG,
+    exportToSVG,
+    exportToPDF,
+    exportNetwork,
+    importNetwork,
+    destroy,
+    setPhysicsEnabled,
+    stabilize
+};
\ No newline at end of file
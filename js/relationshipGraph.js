@@ -2,15 +2,24 @@
 // This script provides interactive network visualization for customer relationships
 
 let networkInstances = {};
+let searchBoxes = {};
+let selectionStates = {};
+let dotNetRefs = {};
+let miniMaps = {};
+let accessibleViews = {};
+let metricOverlays = {};
 
 /**
  * Render relationship graph using vis.js
  * @param {string} containerId - The DOM element ID where the graph will be rendered
  * @param {Array} nodes - Array of node objects
  * @param {Array} edges - Array of edge objects
- * @param {Object} options - vis.js configuration options
+ * @param {Object} options - vis.js configuration options, plus selectionMode: 'box' | 'lasso' for shift-drag selection
+ *   and accessibleView: true or options for enableGraphAccessibility to add the accessible view
+ * @param {Object} dotNetRef - Optional .NET reference receiving OnNodeClicked, OnNodeDoubleClicked, OnSelectionChanged,
+ *   OnDuplicateSuggestionClicked and OnNodesMerged
  */
-window.renderRelationshipGraph = function (containerId, nodes, edges, options) {
+window.renderRelationshipGraph = function (containerId, nodes, edges, options, dotNetRef) {
     try {
         const container = document.getElementById(containerId);
         if (!container) {
@@ -36,10 +45,18 @@ window.renderRelationshipGraph = function (containerId, nodes, edges, options) {
             clickToUse: false
         };
 
-        const finalOptions = { ...defaultOptions, ...options };
+        const { selectionMode, accessibleView, ...visOptions } = options || {};
+        const finalOptions = { ...defaultOptions, ...visOptions };
+
+        // Ctrl/cmd-click adds to the selection
+        finalOptions.interaction = { multiselect: true, ...finalOptions.interaction };
 
         // Destroy existing network instance if it exists
         if (networkInstances[containerId]) {
+            disableGraphSelection(containerId);
+            window.removeGraphMiniMap(containerId);
+            window.disableGraphAccessibility(containerId);
+            dropMetricOverlay(containerId);
             networkInstances[containerId].destroy();
         }
 
@@ -51,21 +68,37 @@ window.renderRelationshipGraph = function (containerId, nodes, edges, options) {
 
         // Add event listeners
         network.on('click', function (params) {
+            if (!dotNetRef) {
+                return;
+            }
+
             if (params.nodes.length > 0) {
-                const nodeId = params.nodes[0];
-                console.log('Node clicked:', nodeId);
-                // You can trigger Blazor component method here if needed
+                dotNetRef.invokeMethodAsync('OnNodeClicked', params.nodes[0])
+                    .catch(error => console.error('Error invoking OnNodeClicked:', error));
+            } else if (params.edges.length > 0) {
+                // Suggested merges are drawn as edges; let the page offer the merge
+                const edge = edgesDataSet.get(params.edges[0]);
+                if (edge && edge.duplicateSuggestion) {
+                    dotNetRef.invokeMethodAsync('OnDuplicateSuggestionClicked', edge.from, edge.to, edge.duplicateSuggestion.score)
+                        .catch(error => console.error('Error invoking OnDuplicateSuggestionClicked:', error));
+                }
             }
         });
 
         network.on('doubleClick', function (params) {
-            if (params.nodes.length > 0) {
-                const nodeId = params.nodes[0];
-                console.log('Node double-clicked:', nodeId);
-                // Navigate to customer details or show modal
+            if (params.nodes.length > 0 && dotNetRef) {
+                dotNetRef.invokeMethodAsync('OnNodeDoubleClicked', params.nodes[0])
+                    .catch(error => console.error('Error invoking OnNodeDoubleClicked:', error));
             }
         });
 
+        dotNetRefs[containerId] = dotNetRef || null;
+        enableGraphSelection(containerId, container, network, selectionMode, finalOptions.interaction.dragView !== false);
+
+        if (accessibleView) {
+            window.enableGraphAccessibility(containerId, accessibleView);
+        }
+
         network.on('hoverNode', function (params) {
             container.style.cursor = 'pointer';
         });
@@ -109,14 +142,7 @@ window.exportGraph = function (containerId) {
         
         // Convert to blob and download
         canvas.toBlob(function (blob) {
-            const url = URL.createObjectURL(blob);
-            const link = document.createElement('a');
-            link.href = url;
-            link.download = `relationship-graph-${new Date().getTime()}.png`;
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
-            URL.revokeObjectURL(url);
+            downloadBlob(blob, `relationship-graph-${new Date().getTime()}.png`);
         });
 
         console.log('Graph exported successfully');
@@ -125,6 +151,67 @@ window.exportGraph = function (containerId) {
     }
 };
 
+/**
+ * Export the full graph (not just the viewport) as SVG for case files
+ * Requires graph-export.js
+ * @param {string} containerId - The container ID of the graph
+ * @param {Object} options - { title, analystName, legend: [{ color, label }] }
+ */
+window.exportGraphSvg = function (containerId, options) {
+    try {
+        const network = networkInstances[containerId];
+        if (!network) {
+            console.error('Network instance not found');
+            return false;
+        }
+
+        const svg = window.graphExport.toSvg(network, options);
+        downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), `relationship-graph-${new Date().getTime()}.svg`);
+
+        console.log('Graph exported to SVG successfully');
+        return true;
+    } catch (error) {
+        console.error('Error exporting graph to SVG:', error);
+        return false;
+    }
+};
+
+/**
+ * Export the full graph as a paginated PDF with title, legend, timestamp and analyst name
+ * Requires graph-export.js
+ * @param {string} containerId - The container ID of the graph
+ * @param {Object} options - { title, analystName, legend: [{ color, label }], pageSize: 'A4' | 'A3' }
+ */
+window.exportGraphPdf = function (containerId, options) {
+    try {
+        const network = networkInstances[containerId];
+        if (!network) {
+            console.error('Network instance not found');
+            return false;
+        }
+
+        const pdf = window.graphExport.toPdf(network, options);
+        downloadBlob(new Blob([pdf], { type: 'application/pdf' }), `relationship-graph-${new Date().getTime()}.pdf`);
+
+        console.log('Graph exported to PDF successfully');
+        return true;
+    } catch (error) {
+        console.error('Error exporting graph to PDF:', error);
+        return false;
+    }
+};
+
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
 /**
  * Update graph data
  * @param {string} containerId - The container ID
@@ -139,6 +226,9 @@ window.updateGraphData = function (containerId, nodes, edges) {
             return false;
         }
 
+        // The metric styles belong to the old data
+        dropMetricOverlay(containerId);
+
         // Update datasets
         network.body.data.nodes.clear();
         network.body.data.nodes.add(nodes);
@@ -160,6 +250,49 @@ window.updateGraphData = function (containerId, nodes, edges) {
     }
 };
 
+/**
+ * Export graph data in a standard format for tools such as Gephi
+ * Requires graph-formats.js
+ * @param {string} containerId - The container ID
+ * @param {string} format - 'graphml' | 'gexf' | 'csv' | 'jgf'
+ * @returns {string|Object} Document text; for 'csv' an object with nodes and edges CSV text
+ */
+window.exportGraphData = function (containerId, format) {
+    try {
+        const network = networkInstances[containerId];
+        if (!network) {
+            console.error('Network instance not found');
+            return null;
+        }
+
+        return window.graphFormats.serialize(format, {
+            directed: true,
+            nodes: network.body.data.nodes.get(),
+            edges: network.body.data.edges.get({ filter: edge => !edge.duplicateSuggestion })
+        });
+    } catch (error) {
+        console.error('Error exporting graph data:', error);
+        return null;
+    }
+};
+
+/**
+ * Replace graph data from a standard format document, e.g. a saved investigation
+ * Requires graph-formats.js
+ * @param {string} containerId - The container ID
+ * @param {string|Object} content - Document text; for 'csv' an object { nodes, edges }
+ * @param {string} format - 'graphml' | 'gexf' | 'csv' | 'jgf'
+ */
+window.importGraphData = function (containerId, content, format) {
+    try {
+        const graph = window.graphFormats.parse(format, content);
+        return window.updateGraphData(containerId, graph.nodes, graph.edges);
+    } catch (error) {
+        console.error('Error importing graph data:', error);
+        return false;
+    }
+};
+
 /**
  * Highlight specific nodes
  * @param {string} containerId - The container ID
@@ -192,6 +325,174 @@ window.highlightNodes = function (containerId, nodeIds) {
     }
 };
 
+/**
+ * Find nodes by name, id, registration or account number
+ * Requires graph-search.js
+ * @param {string} containerId - The container ID
+ * @param {string} query - Search text
+ * @param {Object} options - { limit: 10, fuzzy: true, minScore: 0.3, fields }
+ * @returns {Array} Ranked matches [{ nodeId, label, score, field, value, matchType }]
+ */
+window.searchGraph = function (containerId, query, options) {
+    try {
+        const network = networkInstances[containerId];
+        if (!network) {
+            console.error('Network instance not found');
+            return [];
+        }
+
+        const index = window.graphSearch.buildIndex(network.body.data.nodes.get(), options);
+        return window.graphSearch.search(index, query, options);
+    } catch (error) {
+        console.error('Error searching graph:', error);
+        return [];
+    }
+};
+
+/**
+ * Focus, select and pulse a node, e.g. a search hit
+ * Requires graph-search.js
+ * @param {string} containerId - The container ID
+ * @param {string|number} nodeId - The node to focus
+ */
+window.focusGraphNode = function (containerId, nodeId) {
+    try {
+        const network = networkInstances[containerId];
+        if (!network) {
+            console.error('Network instance not found');
+            return false;
+        }
+
+        network.selectNodes([nodeId]);
+        network.focus(nodeId, {
+            scale: 1.5,
+            animation: {
+                duration: 1000,
+                easingFunction: 'easeInOutQuad'
+            }
+        });
+        window.graphSearch.pulse(network, nodeId);
+
+        return true;
+    } catch (error) {
+        console.error('Error focusing node:', error);
+        return false;
+    }
+};
+
+/**
+ * Add autocomplete to a search input; picking a suggestion focuses the node
+ * Requires graph-search.js
+ * @param {string} containerId - The container ID
+ * @param {string} inputId - The search input element ID
+ * @param {Object} options - searchGraph options
+ */
+window.attachGraphSearch = function (containerId, inputId, options) {
+    try {
+        const input = document.getElementById(inputId);
+        if (!input) {
+            console.error(`Search input with ID '${inputId}' not found`);
+            return false;
+        }
+
+        if (searchBoxes[containerId]) {
+            searchBoxes[containerId].detach();
+        }
+
+        searchBoxes[containerId] = window.graphSearch.attachAutocomplete(
+            input,
+            query => window.searchGraph(containerId, query, options),
+            match => window.focusGraphNode(containerId, match.nodeId),
+            options
+        );
+
+        return true;
+    } catch (error) {
+        console.error('Error attaching graph search:', error);
+        return false;
+    }
+};
+
+/**
+ * Show an overview of the whole graph in a corner panel with a draggable viewport rectangle
+ * Requires graph-export.js and graph-minimap.js
+ * @param {string} containerId - The container ID
+ * @param {Object} options - { position: 'bottomright' | 'bottomleft' | 'topright' | 'topleft', width, height, collapsed }
+ */
+window.addGraphMiniMap = function (containerId, options) {
+    try {
+        const network = networkInstances[containerId];
+        if (!network) {
+            console.error('Network instance not found');
+            return false;
+        }
+
+        window.removeGraphMiniMap(containerId);
+        miniMaps[containerId] = window.graphMiniMap.attach(network, document.getElementById(containerId), options);
+        return true;
+    } catch (error) {
+        console.error('Error adding graph mini-map:', error);
+        return false;
+    }
+};
+
+/**
+ * Remove the overview panel
+ * @param {string} containerId - The container ID
+ */
+window.removeGraphMiniMap = function (containerId) {
+    if (miniMaps[containerId]) {
+        miniMaps[containerId].detach();
+        delete miniMaps[containerId];
+    }
+    return true;
+};
+
+/**
+ * Add a keyboard and screen reader view: an ARIA tree of entities and their relationships with a live
+ * region announcing each move. renderRelationshipGraph turns it on when options.accessibleView is set.
+ * Requires graph-accessibility.js
+ * @param {string} containerId - The container ID
+ * @param {Object} options - { alwaysVisible: false, followFocus: true, maxAnnouncedLinks: 5, strings }
+ */
+window.enableGraphAccessibility = function (containerId, options) {
+    try {
+        const network = networkInstances[containerId];
+        if (!network) {
+            console.error('Network instance not found');
+            return false;
+        }
+
+        window.disableGraphAccessibility(containerId);
+        accessibleViews[containerId] = window.graphAccessibility.attach(network, document.getElementById(containerId), {
+            ...options,
+            onActivate: nodeId => {
+                // Enter on an entity behaves like clicking it
+                if (dotNetRefs[containerId]) {
+                    dotNetRefs[containerId].invokeMethodAsync('OnNodeClicked', nodeId)
+                        .catch(error => console.error('Error invoking OnNodeClicked:', error));
+                }
+            }
+        });
+        return true;
+    } catch (error) {
+        console.error('Error enabling graph accessibility:', error);
+        return false;
+    }
+};
+
+/**
+ * Remove the accessible view
+ * @param {string} containerId - The container ID
+ */
+window.disableGraphAccessibility = function (containerId) {
+    if (accessibleViews[containerId]) {
+        accessibleViews[containerId].detach();
+        delete accessibleViews[containerId];
+    }
+    return true;
+};
+
 /**
  * Get selected nodes
  * @param {string} containerId - The container ID
@@ -213,15 +514,1084 @@ window.getSelectedNodes = function (containerId) {
 };
 
 /**
- * Destroy network instance
+ * Select nodes from .NET, e.g. after a bulk action; does not raise OnSelectionChanged
  * @param {string} containerId - The container ID
+ * @param {Array} nodeIds - Node IDs to select; empty clears the selection
  */
-window.destroyGraph = function (containerId) {
+window.selectGraphNodes = function (containerId, nodeIds) {
+    try {
+        const network = networkInstances[containerId];
+        if (!network) {
+            console.error('Network instance not found');
+            return false;
+        }
+
+        network.selectNodes(nodeIds || []);
+        rememberSelection(containerId);
+        return true;
+    } catch (error) {
+        console.error('Error selecting nodes:', error);
+        return false;
+    }
+};
+
+/**
+ * Get the data of the selected nodes, for bulk actions that need more than the IDs
+ * @param {string} containerId - The container ID
+ * @returns {Array} Array of node objects
+ */
+window.getSelectedNodeData = function (containerId) {
     try {
+        const network = networkInstances[containerId];
+        if (!network) {
+            console.error('Network instance not found');
+            return [];
+        }
+
+        return network.body.data.nodes.get(network.getSelectedNodes());
+    } catch (error) {
+        console.error('Error getting selected node data:', error);
+        return [];
+    }
+};
+
+/**
+ * Choose what shift-drag draws
+ * @param {string} containerId - The container ID
+ * @param {string} mode - 'box' for a rectangle, 'lasso' for a freehand outline
+ */
+window.setGraphSelectionMode = function (containerId, mode) {
+    const state = selectionStates[containerId];
+    if (!state) {
+        console.error('Network instance not found');
+        return false;
+    }
+
+    state.mode = mode === 'lasso' ? 'lasso' : 'box';
+    return true;
+};
+
+// Shift-drag on empty canvas selects the nodes inside a box or lasso; ctrl/cmd adds to the selection
+function enableGraphSelection(containerId, container, network, mode, dragView) {
+    const state = {
+        mode: mode === 'lasso' ? 'lasso' : 'box',
+        dragView: dragView,
+        lastSelection: '',
+        drag: null,
+        listeners: []
+    };
+    selectionStates[containerId] = state;
+
+    const listen = (target, type, handler, capture) => {
+        target.addEventListener(type, handler, capture || false);
+        state.listeners.push(() => target.removeEventListener(type, handler, capture || false));
+    };
+
+    const toLocal = event => {
+        const rect = container.getBoundingClientRect();
+        return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+    };
+
+    network.on('select', () => notifySelectionChanged(containerId));
+
+    listen(container, 'mousedown', event => {
+        if (!event.shiftKey || event.button !== 0) {
+            return;
+        }
+
+        const start = toLocal(event);
+        if (network.getNodeAt(start) !== undefined) {
+            return;
+        }
+
+        // Stop vis.js from panning while the outline is drawn
+        network.setOptions({ interaction: { dragView: false } });
+
+        if (getComputedStyle(container).position === 'static') {
+            container.style.position = 'relative';
+        }
+
+        const overlay = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        overlay.setAttribute('class', 'graph-selection-overlay');
+        overlay.style.cssText = 'position: absolute; left: 0; top: 0; width: 100%; height: 100%; pointer-events: none; z-index: 15;';
+        const outline = document.createElementNS('http://www.w3.org/2000/svg', 'polygon');
+        outline.setAttribute('fill', 'rgba(59, 130, 246, 0.1)');
+        outline.setAttribute('stroke', '#3b82f6');
+        outline.setAttribute('stroke-dasharray', '4 2');
+        overlay.appendChild(outline);
+        container.appendChild(overlay);
+
+        state.drag = { points: [start], current: start, overlay: overlay, outline: outline };
+    }, true);
+
+    listen(document, 'mousemove', event => {
+        if (!state.drag) {
+            return;
+        }
+
+        state.drag.current = toLocal(event);
+        if (state.mode === 'lasso') {
+            state.drag.points.push(state.drag.current);
+        }
+
+        const polygon = getSelectionPolygon(state);
+        state.drag.outline.setAttribute('points', polygon.map(point => `${point.x},${point.y}`).join(' '));
+    });
+
+    listen(document, 'mouseup', event => {
+        const drag = state.drag;
+        if (!drag) {
+            return;
+        }
+
+        const polygon = getSelectionPolygon(state);
+        drag.overlay.remove();
+        state.drag = null;
+        network.setOptions({ interaction: { dragView: state.dragView } });
+
+        const nodeIds = network.body.data.nodes.getIds();
+        const positions = network.getPositions(nodeIds);
+        const inside = nodeIds.filter(nodeId =>
+            positions[nodeId] && isPointInPolygon(network.canvasToDOM(positions[nodeId]), polygon));
+
+        const selected = (event.ctrlKey || event.metaKey) ? network.getSelectedNodes() : [];
+        network.selectNodes([...new Set([...selected, ...inside])]);
+        notifySelectionChanged(containerId);
+    });
+}
+
+function disableGraphSelection(containerId) {
+    const state = selectionStates[containerId];
+    if (state) {
+        state.listeners.forEach(remove => remove());
+        if (state.drag) {
+            state.drag.overlay.remove();
+        }
+        delete selectionStates[containerId];
+    }
+}
+
+function getSelectionPolygon(state) {
+    const drag = state.drag;
+    if (state.mode === 'lasso') {
+        return drag.points;
+    }
+
+    const start = drag.points[0];
+    const end = drag.current;
+    return [start, { x: end.x, y: start.y }, end, { x: start.x, y: end.y }];
+}
+
+// Ray casting: count how many polygon edges a horizontal ray from the point crosses
+function isPointInPolygon(point, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        if ((a.y > point.y) !== (b.y > point.y) &&
+            point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+// Tell .NET about user selection changes, once per distinct selection
+function notifySelectionChanged(containerId) {
+    const state = selectionStates[containerId];
+    const network = networkInstances[containerId];
+    if (!state || !network) {
+        return;
+    }
+
+    const nodeIds = network.getSelectedNodes();
+    const key = JSON.stringify(nodeIds);
+    if (key === state.lastSelection) {
+        return;
+    }
+
+    state.lastSelection = key;
+    if (dotNetRefs[containerId]) {
+        dotNetRefs[containerId].invokeMethodAsync('OnSelectionChanged', nodeIds)
+            .catch(error => console.error('Error invoking OnSelectionChanged:', error));
+    }
+}
+
+function rememberSelection(containerId) {
+    const state = selectionStates[containerId];
+    const network = networkInstances[containerId];
+    if (state && network) {
+        state.lastSelection = JSON.stringify(network.getSelectedNodes());
+    }
+}
+
+// Identifier attributes used to match entities; a shared strong identifier is close to proof,
+// while two different strong identifiers mean two different entities whatever the names say
+const strongIdentifierFields = ['nationalId', 'nrc', 'nrcNumber', 'passportNumber', 'registrationNumber', 'taxId', 'tpin'];
+const weakIdentifierFields = ['email', 'phone', 'dateOfBirth'];
+
+// Titles and legal suffixes that should not make two names look different
+const ignoredNameTokens = new Set(['mr', 'mrs', 'ms', 'miss', 'dr', 'prof', 'ltd', 'limited', 'plc', 'inc', 'llc', 'co', 'company', 'the']);
+
+/**
+ * Score likely duplicate entities on name similarity and shared identifiers
+ * Requires graph-search.js
+ * @param {string} containerId - The container ID
+ * @param {Object} options - { threshold: 0.75, showSuggestions: true, strongIdentifiers, weakIdentifiers }
+ * @returns {Array} Suggested merges [{ nodeIds: [a, b], score, reasons }], most likely first
+ */
+window.findDuplicateEntities = function (containerId, options) {
+    try {
+        const network = networkInstances[containerId];
+        if (!network) {
+            console.error('Network instance not found');
+            return [];
+        }
+
+        const settings = {
+            threshold: 0.75,
+            showSuggestions: true,
+            strongIdentifiers: strongIdentifierFields,
+            weakIdentifiers: weakIdentifierFields,
+            ...options
+        };
+
+        const profiles = network.body.data.nodes.get().map(node => buildEntityProfile(node, settings));
+        const suggestions = [];
+
+        getCandidatePairs(profiles).forEach(([a, b]) => {
+            const match = scoreDuplicatePair(a, b);
+            if (match.score >= settings.threshold) {
+                suggestions.push({
+                    nodeIds: [a.id, b.id],
+                    score: Math.round(match.score * 100) / 100,
+                    reasons: match.reasons
+                });
+            }
+        });
+
+        suggestions.sort((x, y) => y.score - x.score);
+
+        if (settings.showSuggestions) {
+            window.showDuplicateSuggestions(containerId, suggestions);
+        }
+
+        console.log(`Duplicate entities found in ${containerId}:`, suggestions.length);
+        return suggestions;
+    } catch (error) {
+        console.error('Error finding duplicate entities:', error);
+        return [];
+    }
+};
+
+/**
+ * Draw suggested merges as dashed edges between the candidate nodes
+ * @param {string} containerId - The container ID
+ * @param {Array} suggestions - From findDuplicateEntities
+ */
+window.showDuplicateSuggestions = function (containerId, suggestions) {
+    try {
+        const network = networkInstances[containerId];
+        if (!network) {
+            console.error('Network instance not found');
+            return false;
+        }
+
+        window.clearDuplicateSuggestions(containerId);
+
+        network.body.data.edges.add(suggestions.map((suggestion, index) => ({
+            id: `duplicate-suggestion-${index}`,
+            from: suggestion.nodeIds[0],
+            to: suggestion.nodeIds[1],
+            label: `Possible duplicate (${Math.round(suggestion.score * 100)}%)`,
+            title: suggestion.reasons.join('\n'),
+            color: { color: '#f59e0b', highlight: '#d97706', hover: '#d97706' },
+            dashes: [6, 4],
+            width: 2,
+            arrows: { to: { enabled: false } },
+            physics: false,
+            duplicateSuggestion: { score: suggestion.score, reasons: suggestion.reasons }
+        })));
+
+        return true;
+    } catch (error) {
+        console.error('Error showing duplicate suggestions:', error);
+        return false;
+    }
+};
+
+/**
+ * Remove suggested merge edges
+ * @param {string} containerId - The container ID
+ */
+window.clearDuplicateSuggestions = function (containerId) {
+    try {
+        const network = networkInstances[containerId];
+        if (!network) {
+            console.error('Network instance not found');
+            return false;
+        }
+
+        const edges = network.body.data.edges;
+        edges.remove(edges.getIds({ filter: edge => !!edge.duplicateSuggestion }));
+        return true;
+    } catch (error) {
+        console.error('Error clearing duplicate suggestions:', error);
+        return false;
+    }
+};
+
+/**
+ * Merge duplicate nodes into a surviving node
+ * Duplicates slide into the survivor, their edges are re-pointed to it (dropping edges that would
+ * become self-loops or repeat an existing relationship), attributes the survivor lacks are copied
+ * over, and the merge is reported to .NET through OnNodesMerged
+ * @param {string} containerId - The container ID
+ * @param {string|number} survivorId - Node that remains
+ * @param {Array} duplicateIds - Nodes merged into the survivor
+ * @param {Object} options - { animate: true }
+ * @returns {Promise<Object>} { survivorId, mergedIds, repointedEdgeIds, removedEdgeIds }
+ */
+window.mergeGraphNodes = async function (containerId, survivorId, duplicateIds, options) {
+    try {
+        const network = networkInstances[containerId];
+        if (!network) {
+            console.error('Network instance not found');
+            return null;
+        }
+
+        const nodes = network.body.data.nodes;
+        const edges = network.body.data.edges;
+        const survivor = nodes.get(survivorId);
+        const duplicates = nodes.get((duplicateIds || []).filter(nodeId => nodeId !== survivorId));
+        if (!survivor || duplicates.length === 0) {
+            console.error('Nothing to merge into node:', survivorId);
+            return null;
+        }
+
+        const mergedIds = duplicates.map(node => node.id);
+        const merged = new Set(mergedIds);
+        const touchesMerged = edge => merged.has(edge.from) || merged.has(edge.to);
+
+        if (!options || options.animate !== false) {
+            await animateMerge(network, mergedIds, survivorId, 400);
+        }
+
+        const edgeKey = (from, to, label) => `${from}|${to}|${label || ''}`;
+        const existing = new Set(edges.get({ filter: edge => !edge.duplicateSuggestion && !touchesMerged(edge) })
+            .map(edge => edgeKey(edge.from, edge.to, edge.label)));
+
+        const repointed = [];
+        const removed = [];
+        const suggestionIds = [];
+        edges.get({ filter: touchesMerged }).forEach(edge => {
+            if (edge.duplicateSuggestion) {
+                suggestionIds.push(edge.id);
+                return;
+            }
+
+            const from = merged.has(edge.from) ? survivorId : edge.from;
+            const to = merged.has(edge.to) ? survivorId : edge.to;
+            const key = edgeKey(from, to, edge.label);
+            if (from === to || existing.has(key)) {
+                removed.push(edge.id);
+                return;
+            }
+
+            existing.add(key);
+            repointed.push({ id: edge.id, from: from, to: to });
+        });
+
+        edges.remove(removed.concat(suggestionIds));
+        edges.update(repointed);
+
+        // The survivor's own values win; gaps are filled from the duplicates
+        const filled = {};
+        duplicates.forEach(node => {
+            Object.keys(node).forEach(key => {
+                if (['id', 'x', 'y', 'mergedFrom'].includes(key)) return;
+                if (survivor[key] === undefined && filled[key] === undefined) {
+                    filled[key] = node[key];
+                }
+            });
+        });
+
+        nodes.update({
+            id: survivorId,
+            ...filled,
+            mergedFrom: (survivor.mergedFrom || []).concat(mergedIds)
+        });
+        nodes.remove(mergedIds);
+        network.selectNodes([survivorId]);
+
+        const result = {
+            survivorId: survivorId,
+            mergedIds: mergedIds,
+            repointedEdgeIds: repointed.map(edge => edge.id),
+            removedEdgeIds: removed
+        };
+
+        if (dotNetRefs[containerId]) {
+            dotNetRefs[containerId].invokeMethodAsync('OnNodesMerged', result)
+                .catch(error => console.error('Error invoking OnNodesMerged:', error));
+        }
+
+        console.log(`Merged ${mergedIds.length} node(s) into ${survivorId}`);
+        return result;
+    } catch (error) {
+        console.error('Error merging nodes:', error);
+        return null;
+    }
+};
+
+function buildEntityProfile(node, settings) {
+    const source = { ...(node.properties || {}), ...node };
+    const identifiers = fields => {
+        const values = new Map();
+        fields.forEach(field => {
+            const value = source[field];
+            if (typeof value === 'string' || typeof value === 'number') {
+                const compact = window.graphSearch.compact(window.graphSearch.normalize(value));
+                if (compact) values.set(field, compact);
+            }
+        });
+        return values;
+    };
+
+    const name = source.fullName || source.name || source.label || '';
+    return {
+        id: node.id,
+        type: source.type || source.nodeType || source.group,
+        tokens: window.graphSearch.tokenize(window.graphSearch.normalize(name)).filter(token => !ignoredNameTokens.has(token)),
+        strong: identifiers(settings.strongIdentifiers),
+        weak: identifiers(settings.weakIdentifiers)
+    };
+}
+
+// Only compare entities that share an identifier or the start of a name word
+function getCandidatePairs(profiles) {
+    const blocks = new Map();
+    const add = (key, index) => {
+        if (!blocks.has(key)) blocks.set(key, []);
+        blocks.get(key).push(index);
+    };
+
+    profiles.forEach((profile, index) => {
+        profile.strong.forEach(value => add(`id:${value}`, index));
+        profile.weak.forEach((value, field) => add(`${field}:${value}`, index));
+        profile.tokens.filter(token => token.length >= 3).forEach(token => add(`name:${token.slice(0, 3)}`, index));
+    });
+
+    const seen = new Set();
+    const pairs = [];
+    blocks.forEach(members => {
+        for (let i = 0; i < members.length; i++) {
+            for (let j = i + 1; j < members.length; j++) {
+                const key = members[i] < members[j] ? `${members[i]}:${members[j]}` : `${members[j]}:${members[i]}`;
+                if (!seen.has(key)) {
+                    seen.add(key);
+                    pairs.push([profiles[members[i]], profiles[members[j]]]);
+                }
+            }
+        }
+    });
+
+    return pairs;
+}
+
+function scoreDuplicatePair(a, b) {
+    const reasons = [];
+    const nameScore = compareNames(a.tokens, b.tokens);
+    if (nameScore > 0) {
+        reasons.push(`Similar name (${Math.round(nameScore * 100)}%)`);
+    }
+
+    let sharedStrong = false;
+    let conflict = false;
+    a.strong.forEach((value, field) => {
+        if (!b.strong.has(field)) return;
+        if (b.strong.get(field) === value) {
+            sharedStrong = true;
+            reasons.push(`Same ${field}`);
+        } else {
+            conflict = true;
+            reasons.push(`Different ${field}`);
+        }
+    });
+
+    let sharedWeak = false;
+    a.weak.forEach((value, field) => {
+        if (b.weak.get(field) === value) {
+            sharedWeak = true;
+            reasons.push(`Same ${field}`);
+        }
+    });
+
+    let score;
+    if (conflict) {
+        score = Math.min(nameScore * 0.5, 0.4);
+    } else if (sharedStrong) {
+        score = 0.9 + 0.1 * nameScore;
+    } else {
+        score = nameScore * 0.85 + (sharedWeak ? 0.15 : 0);
+    }
+
+    // A person and a company with the same name are rarely the same entity
+    if (a.type && b.type && a.type !== b.type) {
+        score *= 0.5;
+        reasons.push('Different entity types');
+    }
+
+    return { score: score, reasons: reasons };
+}
+
+// Order-insensitive word matching where an initial ("J.") matches a word it starts ("John")
+function compareNames(tokensA, tokensB) {
+    if (tokensA.length === 0 || tokensB.length === 0) {
+        return 0;
+    }
+
+    const [shorter, longer] = tokensA.length <= tokensB.length ? [tokensA, tokensB] : [tokensB, tokensA];
+    const available = longer.slice();
+    let total = 0;
+
+    for (const token of shorter) {
+        let bestIndex = -1;
+        let best = 0;
+        available.forEach((word, index) => {
+            let similarity;
+            if (word === token) {
+                similarity = 1;
+            } else if ((token.length === 1 && word.startsWith(token)) || (word.length === 1 && token.startsWith(word))) {
+                similarity = 0.9;
+            } else {
+                const distance = window.graphSearch.editDistance(token, word);
+                similarity = 1 - distance / Math.max(token.length, word.length);
+                if (similarity < 0.75) similarity = 0;
+            }
+            if (similarity > best) {
+                best = similarity;
+                bestIndex = index;
+            }
+        });
+
+        if (bestIndex < 0) {
+            return 0;
+        }
+
+        total += best;
+        available.splice(bestIndex, 1);
+    }
+
+    // Missing middle names cost a little, not a lot
+    return (total / shorter.length) * Math.pow(shorter.length / longer.length, 0.25);
+}
+
+function animateMerge(network, mergedIds, survivorId, duration) {
+    return new Promise(resolve => {
+        const positions = network.getPositions(mergedIds.concat([survivorId]));
+        const target = positions[survivorId];
+        if (!target) {
+            resolve();
+            return;
+        }
+
+        const start = performance.now();
+        const step = (now) => {
+            const progress = Math.min((now - start) / duration, 1);
+            mergedIds.forEach(nodeId => {
+                const from = positions[nodeId];
+                if (from) {
+                    network.moveNode(nodeId, from.x + (target.x - from.x) * progress, from.y + (target.y - from.y) * progress);
+                }
+            });
+
+            if (progress < 1) {
+                requestAnimationFrame(step);
+            } else {
+                resolve();
+            }
+        };
+        requestAnimationFrame(step);
+    });
+}
+
+// Metrics that can size and colour the graph, in the order they appear in the metrics panel
+const graphMetricLabels = {
+    degree: 'Degree',
+    betweenness: 'Betweenness',
+    closeness: 'Closeness',
+    pageRank: 'PageRank',
+    articulation: 'Articulation points'
+};
+
+/**
+ * Compute centrality metrics over the current nodes and edges (suggested merges and hidden items are ignored)
+ * Betweenness and closeness are normalised to 0-1 and use Wasserman-Faust closeness so disconnected
+ * groups score sensibly. Articulation points and bridges are the entities and relationships whose
+ * removal splits the network, always computed on the undirected graph.
+ * @param {string} containerId - The container ID
+ * @param {Object} options - { directed: false, damping: 0.85 }
+ * @returns {Object} { nodes: [{ nodeId, label, degree, inDegree, outDegree, betweenness, closeness, pageRank,
+ *   isArticulationPoint, articulationSplits }], articulationPoints: [nodeId], bridges: [{ edgeId, from, to }] }
+ */
+window.computeGraphMetrics = function (containerId, options) {
+    try {
+        const network = networkInstances[containerId];
+        if (!network) {
+            console.error('Network instance not found');
+            return null;
+        }
+
+        const settings = { directed: false, damping: 0.85, ...options };
+        const graph = buildMetricGraph(network);
+        const paths = settings.directed ? graph.outgoing : graph.neighbours;
+
+        const betweenness = computeBetweenness(paths);
+        const closeness = computeCloseness(paths);
+        const pageRank = computePageRank(paths, settings.damping);
+        const cuts = findCutPoints(graph);
+
+        const nodes = graph.nodes.map((node, index) => ({
+            nodeId: node.id,
+            label: node.label || String(node.id),
+            degree: graph.degree[index],
+            inDegree: graph.inDegree[index],
+            outDegree: graph.outDegree[index],
+            betweenness: betweenness[index],
+            closeness: closeness[index],
+            pageRank: pageRank[index],
+            isArticulationPoint: cuts.splits[index] > 0,
+            articulationSplits: cuts.splits[index]
+        }));
+
+        return {
+            nodes: nodes,
+            articulationPoints: nodes.filter(node => node.isArticulationPoint).map(node => node.nodeId),
+            bridges: cuts.bridges
+        };
+    } catch (error) {
+        console.error('Error computing graph metrics:', error);
+        return null;
+    }
+};
+
+/**
+ * Size and colour nodes by a metric and list the top entities in a panel
+ * For 'articulation', articulation points are drawn in red, sized by how many groups they hold together.
+ * Bridges are drawn as thick red edges for every metric unless highlightBridges is false.
+ * @param {string} containerId - The container ID
+ * @param {string} metric - 'degree' | 'betweenness' | 'closeness' | 'pageRank' | 'articulation'
+ * @param {Object} options - computeGraphMetrics options plus { minSize: 10, maxSize: 40, highlightBridges: true,
+ *   showPanel: true, topCount: 5 }
+ * @returns {Object} { metric, ranking: [{ nodeId, label, value }], bridges } with the highest value first
+ */
+window.applyGraphMetric = function (containerId, metric, options) {
+    try {
+        const network = networkInstances[containerId];
+        if (!network) {
+            console.error('Network instance not found');
+            return null;
+        }
+
+        if (!graphMetricLabels[metric]) {
+            console.error(`Unknown graph metric '${metric}'`);
+            return null;
+        }
+
+        const settings = {
+            minSize: 10,
+            maxSize: 40,
+            highlightBridges: true,
+            showPanel: true,
+            topCount: 5,
+            ...options
+        };
+
+        const metrics = window.computeGraphMetrics(containerId, settings);
+        if (!metrics) {
+            return null;
+        }
+
+        // Put back the styles from the previous metric before remembering the originals
+        window.clearGraphMetric(containerId);
+
+        const nodesDataSet = network.body.data.nodes;
+        const edgesDataSet = network.body.data.edges;
+        const valueOf = node => metric === 'articulation' ? node.articulationSplits : node[metric];
+        const values = metrics.nodes.map(valueOf);
+        const min = Math.min(...values);
+        const range = Math.max(...values) - min;
+        const bridges = settings.highlightBridges || metric === 'articulation' ? metrics.bridges : [];
+
+        const overlay = {
+            metric: metric,
+            nodeStyles: nodesDataSet.get(metrics.nodes.map(node => node.nodeId)).map(node => ({
+                id: node.id,
+                color: node.color === undefined ? null : node.color,
+                size: node.size === undefined ? null : node.size,
+                value: node.value === undefined ? null : node.value
+            })),
+            edgeStyles: edgesDataSet.get(bridges.map(bridge => bridge.edgeId)).map(edge => ({
+                id: edge.id,
+                color: edge.color === undefined ? null : edge.color,
+                width: edge.width === undefined ? null : edge.width
+            })),
+            panel: null
+        };
+        metricOverlays[containerId] = overlay;
+
+        nodesDataSet.update(metrics.nodes.map((node, index) => {
+            const share = range > 0 ? (values[index] - min) / range : 0;
+            const color = metric === 'articulation' ?
+                (node.isArticulationPoint ? '#dc2626' : '#cbd5e1') :
+                mixColor('#dbeafe', '#1e3a8a', share);
+            return {
+                id: node.nodeId,
+                value: null,
+                size: settings.minSize + share * (settings.maxSize - settings.minSize),
+                color: { background: color, border: color, highlight: { background: color, border: '#111827' } }
+            };
+        }));
+
+        edgesDataSet.update(bridges.map(bridge => ({
+            id: bridge.edgeId,
+            color: { color: '#dc2626', highlight: '#b91c1c', hover: '#b91c1c' },
+            width: 4
+        })));
+
+        const ranking = metrics.nodes
+            .map((node, index) => ({ nodeId: node.nodeId, label: node.label, value: values[index] }))
+            .sort((a, b) => b.value - a.value);
+
+        if (settings.showPanel) {
+            overlay.panel = showMetricsPanel(containerId, metric, ranking.slice(0, settings.topCount), bridges.length);
+        }
+
+        return { metric: metric, ranking: ranking, bridges: metrics.bridges };
+    } catch (error) {
+        console.error('Error applying graph metric:', error);
+        return null;
+    }
+};
+
+/**
+ * Restore the node and edge styles changed by applyGraphMetric and close the metrics panel
+ * @param {string} containerId - The container ID
+ */
+window.clearGraphMetric = function (containerId) {
+    try {
+        const network = networkInstances[containerId];
+        const overlay = metricOverlays[containerId];
+        if (!overlay) {
+            return true;
+        }
+
+        if (network) {
+            // Items removed since the metric was applied are skipped
+            const nodesDataSet = network.body.data.nodes;
+            const edgesDataSet = network.body.data.edges;
+            nodesDataSet.update(overlay.nodeStyles.filter(style => nodesDataSet.get(style.id)));
+            edgesDataSet.update(overlay.edgeStyles.filter(style => edgesDataSet.get(style.id)));
+        }
+
+        dropMetricOverlay(containerId);
+        return true;
+    } catch (error) {
+        console.error('Error clearing graph metric:', error);
+        return false;
+    }
+};
+
+// Forget the overlay without restoring styles, e.g. when the data it styled has been replaced
+function dropMetricOverlay(containerId) {
+    const overlay = metricOverlays[containerId];
+    if (overlay) {
+        if (overlay.panel) {
+            overlay.panel.remove();
+        }
+        delete metricOverlays[containerId];
+    }
+}
+
+function buildMetricGraph(network) {
+    const nodes = network.body.data.nodes.get({ filter: node => !node.hidden });
+    const index = new Map(nodes.map((node, i) => [node.id, i]));
+    const edges = network.body.data.edges.get({
+        filter: edge => !edge.hidden && !edge.duplicateSuggestion && index.has(edge.from) && index.has(edge.to)
+    });
+
+    const graph = {
+        nodes: nodes,
+        degree: nodes.map(() => 0),
+        inDegree: nodes.map(() => 0),
+        outDegree: nodes.map(() => 0),
+        // Distinct neighbours for path-based metrics; incident edges keep parallel edges for bridge detection
+        neighbours: nodes.map(() => new Set()),
+        outgoing: nodes.map(() => new Set()),
+        incident: nodes.map(() => [])
+    };
+
+    edges.forEach(edge => {
+        const from = index.get(edge.from);
+        const to = index.get(edge.to);
+        graph.degree[from]++;
+        graph.outDegree[from]++;
+        graph.inDegree[to]++;
+        if (from === to) {
+            return;
+        }
+
+        graph.degree[to]++;
+        graph.neighbours[from].add(to);
+        graph.neighbours[to].add(from);
+        graph.outgoing[from].add(to);
+        graph.incident[from].push({ node: to, edge: edge });
+        graph.incident[to].push({ node: from, edge: edge });
+    });
+
+    graph.neighbours = graph.neighbours.map(set => [...set]);
+    graph.outgoing = graph.outgoing.map(set => [...set]);
+    return graph;
+}
+
+// Brandes' algorithm over unweighted shortest paths
+function computeBetweenness(adjacency) {
+    const count = adjacency.length;
+    const scores = new Array(count).fill(0);
+
+    for (let source = 0; source < count; source++) {
+        const stack = [];
+        const predecessors = adjacency.map(() => []);
+        const paths = new Array(count).fill(0);
+        const distance = new Array(count).fill(-1);
+        paths[source] = 1;
+        distance[source] = 0;
+
+        const queue = [source];
+        for (let head = 0; head < queue.length; head++) {
+            const v = queue[head];
+            stack.push(v);
+            adjacency[v].forEach(w => {
+                if (distance[w] < 0) {
+                    distance[w] = distance[v] + 1;
+                    queue.push(w);
+                }
+                if (distance[w] === distance[v] + 1) {
+                    paths[w] += paths[v];
+                    predecessors[w].push(v);
+                }
+            });
+        }
+
+        const dependency = new Array(count).fill(0);
+        while (stack.length > 0) {
+            const w = stack.pop();
+            predecessors[w].forEach(v => {
+                dependency[v] += paths[v] / paths[w] * (1 + dependency[w]);
+            });
+            if (w !== source) {
+                scores[w] += dependency[w];
+            }
+        }
+    }
+
+    // Undirected pairs are counted from both ends, which the (n-1)(n-2) scale accounts for
+    const scale = count > 2 ? 1 / ((count - 1) * (count - 2)) : 0;
+    return scores.map(score => score * scale);
+}
+
+function computeCloseness(adjacency) {
+    const count = adjacency.length;
+    return adjacency.map((_, source) => {
+        const distance = new Array(count).fill(-1);
+        distance[source] = 0;
+
+        const queue = [source];
+        let total = 0;
+        for (let head = 0; head < queue.length; head++) {
+            const v = queue[head];
+            total += distance[v];
+            adjacency[v].forEach(w => {
+                if (distance[w] < 0) {
+                    distance[w] = distance[v] + 1;
+                    queue.push(w);
+                }
+            });
+        }
+
+        // Scaled by the share of the network reachable, so a tight pair elsewhere does not outrank a hub
+        const reached = queue.length - 1;
+        return reached > 0 && count > 1 ? (reached / (count - 1)) * (reached / total) : 0;
+    });
+}
+
+function computePageRank(adjacency, damping) {
+    const count = adjacency.length;
+    if (count === 0) {
+        return [];
+    }
+
+    let ranks = new Array(count).fill(1 / count);
+    for (let iteration = 0; iteration < 100; iteration++) {
+        // Rank held by nodes without links is spread over the whole network
+        const dangling = adjacency.reduce((sum, links, v) => links.length === 0 ? sum + ranks[v] : sum, 0);
+        const next = new Array(count).fill((1 - damping) / count + damping * dangling / count);
+        adjacency.forEach((links, v) => {
+            links.forEach(w => {
+                next[w] += damping * ranks[v] / links.length;
+            });
+        });
+
+        const change = next.reduce((sum, rank, v) => sum + Math.abs(rank - ranks[v]), 0);
+        ranks = next;
+        if (change < 1e-6) {
+            break;
+        }
+    }
+
+    return ranks;
+}
+
+// Tarjan's low-link search, iterative so long chains of entities cannot overflow the stack
+function findCutPoints(graph) {
+    const count = graph.nodes.length;
+    const discovered = new Array(count).fill(-1);
+    const low = new Array(count).fill(0);
+    const splits = new Array(count).fill(0);
+    const bridges = [];
+    let time = 0;
+
+    for (let root = 0; root < count; root++) {
+        if (discovered[root] >= 0) {
+            continue;
+        }
+
+        discovered[root] = low[root] = time++;
+        const stack = [{ node: root, parentEdge: null, next: 0 }];
+        while (stack.length > 0) {
+            const frame = stack[stack.length - 1];
+            const links = graph.incident[frame.node];
+
+            if (frame.next < links.length) {
+                const link = links[frame.next++];
+                // Only the edge we arrived by is skipped, so a parallel edge still counts as a second route
+                if (link.edge === frame.parentEdge) {
+                    continue;
+                }
+                if (discovered[link.node] < 0) {
+                    discovered[link.node] = low[link.node] = time++;
+                    stack.push({ node: link.node, parentEdge: link.edge, next: 0 });
+                } else {
+                    low[frame.node] = Math.min(low[frame.node], discovered[link.node]);
+                }
+                continue;
+            }
+
+            stack.pop();
+            if (stack.length === 0) {
+                continue;
+            }
+
+            const parent = stack[stack.length - 1].node;
+            low[parent] = Math.min(low[parent], low[frame.node]);
+            if (low[frame.node] > discovered[parent]) {
+                bridges.push({ edgeId: frame.parentEdge.id, from: frame.parentEdge.from, to: frame.parentEdge.to });
+            }
+            if (low[frame.node] >= discovered[parent]) {
+                splits[parent]++;
+            }
+        }
+
+        // Every child of the root is cut off from the others, so the root splits one group fewer
+        splits[root] = Math.max(splits[root] - 1, 0);
+    }
+
+    return { splits: splits, bridges: bridges };
+}
+
+function mixColor(from, to, share) {
+    const channel = (hex, offset) => parseInt(hex.slice(offset, offset + 2), 16);
+    return '#' + [1, 3, 5].map(offset => {
+        const value = Math.round(channel(from, offset) + (channel(to, offset) - channel(from, offset)) * share);
+        return value.toString(16).padStart(2, '0');
+    }).join('');
+}
+
+function showMetricsPanel(containerId, metric, topNodes, bridgeCount) {
+    const container = document.getElementById(containerId);
+    if (!container) {
+        return null;
+    }
+
+    if (getComputedStyle(container).position === 'static') {
+        container.style.position = 'relative';
+    }
+
+    const panel = document.createElement('div');
+    panel.className = 'graph-metrics-panel';
+    panel.setAttribute('role', 'region');
+    panel.setAttribute('aria-label', `${graphMetricLabels[metric]} ranking`);
+    panel.style.cssText = 'position: absolute; top: 8px; left: 8px; z-index: 10; min-width: 160px; max-width: 240px; padding: 8px; ' +
+        'background: rgba(255, 255, 255, 0.95); border: 1px solid #dee2e6; border-radius: 4px; font-size: 12px;';
+
+    const heading = document.createElement('div');
+    heading.style.cssText = 'font-weight: bold; margin-bottom: 4px;';
+    heading.textContent = graphMetricLabels[metric];
+    panel.appendChild(heading);
+
+    const list = document.createElement('ol');
+    list.style.cssText = 'margin: 0; padding-left: 18px;';
+    topNodes.forEach(entry => {
+        const item = document.createElement('li');
+        const link = document.createElement('button');
+        link.type = 'button';
+        link.style.cssText = 'padding: 0; border: 0; background: none; color: #1d4ed8; cursor: pointer; text-align: left;';
+        link.textContent = entry.label;
+        link.addEventListener('click', () => window.focusGraphNode(containerId, entry.nodeId));
+
+        const value = document.createElement('span');
+        value.style.cssText = 'float: right; margin-left: 8px; color: #6b7280;';
+        value.textContent = metric === 'degree' || metric === 'articulation' ? String(entry.value) : entry.value.toFixed(3);
+
+        item.appendChild(link);
+        item.appendChild(value);
+        list.appendChild(item);
+    });
+    panel.appendChild(list);
+
+    if (bridgeCount > 0) {
+        const note = document.createElement('div');
+        note.style.cssText = 'margin-top: 4px; color: #6b7280;';
+        note.textContent = `Red edges: ${bridgeCount} bridge${bridgeCount === 1 ? '' : 's'} holding groups together`;
+        panel.appendChild(note);
+    }
+
+    container.appendChild(panel);
+    return panel;
+}
+
+/**
+ * Destroy network instance
+ * @param {string} containerId - The container ID
+ */
+window.destroyGraph = function (containerId) {
+    try {
+        if (searchBoxes[containerId]) {
+            searchBoxes[containerId].detach();
+            delete searchBoxes[containerId];
+        }
+
+        disableGraphSelection(containerId);
+        window.removeGraphMiniMap(containerId);
+        window.disableGraphAccessibility(containerId);
+        dropMetricOverlay(containerId);
+
         const network = networkInstances[containerId];
         if (network) {
             network.destroy();
             delete networkInstances[containerId];
+            delete dotNetRefs[containerId];
             console.log(`Graph ${containerId} destroyed`);
         }
     } catch (error) {